@@ -0,0 +1,69 @@
+/**
+ * Activity Monitor Module
+ * Keyboard, mouse, scroll and window focus as a presence signal next to the webcam
+ */
+
+class ActivityMonitor {
+    constructor(options = {}) {
+        this.config = {
+            idleTimeout: 2 * 60 * 1000,    // No input for 2 minutes = idle
+            moveThrottle: 1000,            // Mouse moves are recorded at most once a second
+            ...options
+        };
+
+        this.state = {
+            lastActivityTime: Date.now(),
+            lastActivityType: 'load',
+            windowFocused: document.hasFocus()
+        };
+
+        // Callbacks
+        this.onActivity = options.onActivity || (() => { });
+
+        this.handleInput = this.handleInput.bind(this);
+        this.init();
+    }
+
+    init() {
+        ['keydown', 'mousedown', 'wheel', 'touchstart'].forEach(type => {
+            window.addEventListener(type, this.handleInput, { passive: true });
+        });
+        window.addEventListener('scroll', this.handleInput, { passive: true });
+        window.addEventListener('mousemove', (e) => {
+            if (Date.now() - this.state.lastActivityTime >= this.config.moveThrottle) {
+                this.handleInput(e);
+            }
+        }, { passive: true });
+
+        // Coming back to the window is a deliberate action too; leaving it isn't
+        // activity - the window may lose focus to a screen lock or a notification
+        window.addEventListener('focus', (e) => {
+            this.state.windowFocused = true;
+            this.handleInput(e);
+        });
+        window.addEventListener('blur', () => {
+            this.state.windowFocused = false;
+        });
+    }
+
+    handleInput(e) {
+        this.state.lastActivityTime = Date.now();
+        this.state.lastActivityType = e.type;
+        this.onActivity(e.type);
+    }
+
+    getIdleTime(now = Date.now()) {
+        return now - this.state.lastActivityTime;
+    }
+
+    isActive(now = Date.now()) {
+        return this.getIdleTime(now) < this.config.idleTimeout;
+    }
+
+    setIdleTimeout(ms) {
+        this.config.idleTimeout = ms;
+    }
+}
+
+// Export for use in main app
+window.ActivityMonitor = ActivityMonitor;
@@ -4,10 +4,12 @@
  */
 
 class AnalyticsDashboard {
-    constructor() {
+    constructor(options = {}) {
         this.db = null;
+        this.events = options.events || null;
         this.charts = {};
         this.currentPeriod = 'week';
+        this.periodDays = { week: 7, month: 30, year: 365 };
 
         this.init();
     }
@@ -17,8 +19,26 @@ class AnalyticsDashboard {
         this.db = new ProductivityDatabase();
         await this.db.init();
 
+        // Manual corrections refresh every chart
+        this.dayEditor = new DayEditor(this.db, {
+            onChange: () => this.loadData()
+        });
+        document.getElementById('editDayBtn')?.addEventListener('click', () => this.dayEditor.open());
+
         // Bind period selector
         this.bindPeriodSelector();
+        this.bindExportPanel();
+
+        // Plugins start before the first load so they receive its analytics:period
+        if (typeof PluginHost !== 'undefined' && this.events) {
+            window.pluginHost = new PluginHost({
+                page: 'analytics',
+                events: this.events,
+                settingsStore: window.settingsStore,
+                db: this.db
+            });
+            window.pluginHost.init();
+        }
 
         // Load initial data
         await this.loadData();
@@ -38,20 +58,95 @@ class AnalyticsDashboard {
         });
     }
 
-    async loadData() {
-        let stats = [];
-
-        switch (this.currentPeriod) {
-            case 'week':
-                stats = await this.db.getLastNDays(7);
-                break;
-            case 'month':
-                stats = await this.db.getLastNDays(30);
-                break;
-            case 'year':
-                stats = await this.db.getLastNDays(365);
-                break;
+    // Day keys covered by the selected period, ending today
+    getPeriodRange() {
+        const endDate = DayCalendar.getDayKey();
+        const startDate = DayCalendar.addDays(endDate, -(this.periodDays[this.currentPeriod] - 1));
+        return { startDate, endDate };
+    }
+
+    bindExportPanel() {
+        const rangeSelect = document.getElementById('exportRange');
+        const exportBtn = document.getElementById('exportBtn');
+        if (!rangeSelect || !exportBtn) return;
+
+        this.exporter = new DataExporter(this.db);
+
+        const toggleCustomRange = () => {
+            document.querySelectorAll('.export-custom').forEach(el => {
+                el.classList.toggle('visible', rangeSelect.value === 'custom');
+            });
+        };
+        rangeSelect.addEventListener('change', toggleCustomRange);
+        toggleCustomRange();
+
+        const { startDate, endDate } = this.getPeriodRange();
+        document.getElementById('exportStart').value = startDate;
+        document.getElementById('exportEnd').value = endDate;
+
+        exportBtn.addEventListener('click', () => this.exportData());
+    }
+
+    async exportData() {
+        const status = document.getElementById('exportStatus');
+        let { startDate, endDate } = this.getPeriodRange();
+
+        if (document.getElementById('exportRange').value === 'custom') {
+            startDate = document.getElementById('exportStart').value;
+            endDate = document.getElementById('exportEnd').value;
+
+            if (!startDate || !endDate || startDate > endDate) {
+                status.textContent = 'Choose a valid date range';
+                return;
+            }
+        }
+
+        try {
+            const count = await this.exporter.export(startDate, endDate, {
+                granularity: document.getElementById('exportGranularity').value,
+                format: document.getElementById('exportFormat').value
+            });
+            status.textContent = count > 0
+                ? `Exported ${count} rows (${startDate} → ${endDate})`
+                : `No data between ${startDate} and ${endDate}`;
+        } catch (error) {
+            console.error('Export failed:', error);
+            status.textContent = 'Export failed';
+        }
+    }
+
+    // Last six calendar months, oldest first
+    getComparisonMonths() {
+        const months = [];
+        for (let i = 5; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(1);
+            date.setMonth(date.getMonth() - i);
+            months.push({ year: date.getFullYear(), month: date.getMonth() + 1, date });
         }
+        return months;
+    }
+
+    async loadData() {
+        // Selected period and monthly comparison come from a single read
+        const months = this.getComparisonMonths();
+        const ranges = { period: this.getPeriodRange() };
+        months.forEach(m => {
+            ranges[`${m.year}-${m.month}`] = this.db.getMonthRange(m.year, m.month);
+        });
+
+        const results = await this.db.getStatsRanges(ranges);
+        this.goalHistory = await this.db.getGoalHistory();
+        this.resetEvents = await this.db.getEventsRange(ranges.period.startDate, ranges.period.endDate, 'reset');
+        this.interruptionEvents = await this.db.getEventsRange(ranges.period.startDate, ranges.period.endDate, 'interruption');
+        const projects = await this.db.getProjectBreakdown(ranges.period.startDate, ranges.period.endDate);
+        const stats = results.period.stats;
+        const monthSummaries = months.map(m => ({ ...m, summary: results[`${m.year}-${m.month}`].summary }));
+        this.events?.emit('analytics:period', {
+            period: this.currentPeriod,
+            startDate: ranges.period.startDate,
+            endDate: ranges.period.endDate
+        });
 
         // Show empty state if no data (NO MORE FAKE DATA!)
         if (stats.length === 0) {
@@ -61,13 +156,21 @@ class AnalyticsDashboard {
 
         this.hideEmptyState();
         this.updateSummaryCards(stats);
+        this.createProjectBreakdown(projects);
+        this.createHeatmap(stats);
+        this.renderAchievements(stats);
+
+        // Offline with neither vendor/ nor the CDN there is no Chart.js - the rest still shows
+        if (typeof Chart === 'undefined') {
+            console.warn('⚠️ Chart.js not loaded - run vendor/fetch.sh for offline charts');
+            return;
+        }
         this.createProductivityChart(stats);
         this.createFocusTimeChart(stats);
         this.createDistributionChart(stats);
         this.createWeeklyPatternChart(stats);
-        this.createHeatmap(stats);
-        this.createMonthlyComparison();
-        this.renderAchievements(stats);
+        this.createGoalHitChart(stats);
+        this.createMonthlyComparison(monthSummaries);
     }
 
     showEmptyState() {
@@ -228,20 +331,23 @@ class AnalyticsDashboard {
 
         const totalFocus = stats.reduce((sum, s) => sum + s.focusTimeMs, 0);
         const totalAway = stats.reduce((sum, s) => sum + s.awayTime, 0);
+        const totalOffscreen = stats.reduce((sum, s) => sum + (s.offscreenTime || 0), 0);
 
         this.charts.distribution = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['Focus Time', 'Away Time'],
+                labels: ['Focus Time', 'Away From Desk', 'Off-screen (Other Tabs/Apps)'],
                 datasets: [{
-                    data: [totalFocus, totalAway],
+                    data: [totalFocus, totalAway, totalOffscreen],
                     backgroundColor: [
                         'rgba(34, 197, 94, 0.8)',
-                        'rgba(239, 68, 68, 0.6)'
+                        'rgba(239, 68, 68, 0.6)',
+                        'rgba(245, 158, 11, 0.6)'
                     ],
                     borderColor: [
                         '#22c55e',
-                        '#ef4444'
+                        '#ef4444',
+                        '#f59e0b'
                     ],
                     borderWidth: 2,
                     hoverOffset: 10
@@ -331,6 +437,98 @@ class AnalyticsDashboard {
         });
     }
 
+    // Weekly share of days that met every goal active on that day
+    createGoalHitChart(stats) {
+        const ctx = document.getElementById('goalHitChart');
+        if (!ctx) return;
+
+        if (this.charts.goalHit) {
+            this.charts.goalHit.destroy();
+        }
+
+        const weeks = new Map();
+        let daysMet = 0;
+        let daysEvaluated = 0;
+
+        stats.forEach(stat => {
+            const goal = this.db.getGoalForDate(this.goalHistory, stat.date);
+            if (!goal) return;
+
+            const { allMet } = this.db.evaluateDay(stat, goal);
+            const weekStart = DayCalendar.getWeekStart(stat.date);
+            const week = weeks.get(weekStart) || { met: 0, total: 0 };
+            week.met += allMet ? 1 : 0;
+            week.total++;
+            weeks.set(weekStart, week);
+
+            daysMet += allMet ? 1 : 0;
+            daysEvaluated++;
+        });
+
+        const summary = document.getElementById('goalHitSummary');
+        if (summary) {
+            summary.textContent = daysEvaluated > 0
+                ? `Goals met on ${daysMet} of ${daysEvaluated} days (${Math.round(daysMet / daysEvaluated * 100)}%)`
+                : 'Days meeting the goals active at the time';
+        }
+
+        const labels = Array.from(weeks.keys()).map(weekStart =>
+            DayCalendar.parseDayKey(weekStart).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        );
+        const data = Array.from(weeks.values()).map(week => Math.round(week.met / week.total * 100));
+
+        this.charts.goalHit = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Goal Hit Rate %',
+                    data,
+                    backgroundColor: 'rgba(139, 92, 246, 0.8)',
+                    borderRadius: 8,
+                    borderSkipped: false
+                }]
+            },
+            options: this.getChartOptions('Week hit rate %', 0, 100)
+        });
+    }
+
+    // projects: [{ project, focusTimeMs, sessions, productivity }] from ProductivityDatabase.getProjectBreakdown()
+    createProjectBreakdown(projects) {
+        const container = document.getElementById('projectBreakdown');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (projects.length === 0) {
+            container.innerHTML = '<p class="project-empty">No focus sessions in this period</p>';
+            return;
+        }
+
+        const maxFocus = projects[0].focusTimeMs;
+
+        projects.forEach(project => {
+            const row = document.createElement('div');
+            row.className = 'project-row';
+            row.classList.toggle('untagged', !project.project);
+            row.innerHTML = `
+                <div class="project-info">
+                    <span class="project-name"></span>
+                    <span class="project-meta">${project.sessions} sessions • ${project.productivity.toFixed(1)}%</span>
+                </div>
+                <div class="project-bar"><div class="project-bar-fill"></div></div>
+                <span class="project-time">${this.formatDuration(project.focusTimeMs)}</span>
+            `;
+            // Names are user input, keep them out of innerHTML
+            const name = row.querySelector('.project-name');
+            name.textContent = project.project || 'Untagged';
+            name.title = project.tasks.join(', ');
+            row.querySelector('.project-bar-fill').style.width = `${maxFocus > 0 ? project.focusTimeMs / maxFocus * 100 : 0}%`;
+
+            container.appendChild(row);
+        });
+    }
+
     createHeatmap(stats) {
         const container = document.getElementById('heatmapContainer');
         if (!container) return;
@@ -341,10 +539,10 @@ class AnalyticsDashboard {
         const weeks = 4;
         const days = weeks * 7;
 
+        const today = DayCalendar.getDayKey();
+
         for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
+            const dateStr = DayCalendar.addDays(today, -i);
 
             const stat = stats.find(s => s.date === dateStr);
             const level = stat ? Math.ceil(stat.productivity / 20) : 0;
@@ -352,7 +550,17 @@ class AnalyticsDashboard {
             const dayEl = document.createElement('div');
             dayEl.className = 'heatmap-day';
             dayEl.dataset.level = level;
-            dayEl.title = `${dateStr}: ${stat ? stat.productivity.toFixed(1) : 0}%`;
+            const resets = this.resetEvents.filter(event => event.date === dateStr).length;
+            const interruptions = this.interruptionEvents.filter(event => event.date === dateStr);
+            const interruptedMin = Math.round(interruptions.reduce((sum, event) => sum + event.duration, 0) / 60000);
+            dayEl.title = `${dateStr}: ${stat ? stat.productivity.toFixed(1) : 0}%`
+                + `${stat && stat.manuallyEdited ? ' (edited)' : ''}`
+                + `${resets > 0 ? ` • ${resets} reset${resets > 1 ? 's' : ''}` : ''}`
+                + `${interruptions.length > 0
+                    ? ` • ${interruptions.length} interruption${interruptions.length > 1 ? 's' : ''} (${interruptedMin} min)`
+                    : ''}`;
+            dayEl.classList.toggle('edited', Boolean(stat && stat.manuallyEdited));
+            dayEl.addEventListener('click', () => this.dayEditor.open(dateStr));
 
             container.appendChild(dayEl);
         }
@@ -372,7 +580,8 @@ class AnalyticsDashboard {
         container.appendChild(legend);
     }
 
-    async createMonthlyComparison() {
+    // monthSummaries: [{ date, summary }] from ProductivityDatabase.getStatsRanges()
+    createMonthlyComparison(monthSummaries) {
         const ctx = document.getElementById('monthlyComparisonChart');
         if (!ctx) return;
 
@@ -380,36 +589,14 @@ class AnalyticsDashboard {
             this.charts.monthlyComparison.destroy();
         }
 
-        // Get last 6 months of REAL data from database
-        const months = [];
-        const focusData = [];
-        const productivityData = [];
-
-        for (let i = 5; i >= 0; i--) {
-            const date = new Date();
-            date.setMonth(date.getMonth() - i);
-
-            const monthName = date.toLocaleDateString('en-US', { month: 'short' });
-            months.push(monthName);
-
-            // Get real monthly stats from database
-            try {
-                const monthStats = await this.db.getMonthStats(date.getFullYear(), date.getMonth() + 1);
-
-                if (monthStats.length > 0) {
-                    const totalFocusHours = monthStats.reduce((sum, s) => sum + s.focusTimeMs, 0) / 3600000;
-                    const avgProd = monthStats.reduce((sum, s) => sum + s.productivity, 0) / monthStats.length;
-                    focusData.push(Math.round(totalFocusHours * 10) / 10);
-                    productivityData.push(Math.round(avgProd * 10) / 10);
-                } else {
-                    focusData.push(0);
-                    productivityData.push(0);
-                }
-            } catch (e) {
-                focusData.push(0);
-                productivityData.push(0);
-            }
-        }
+        // Last 6 months of REAL data from database
+        const months = monthSummaries.map(m => m.date.toLocaleDateString('en-US', { month: 'short' }));
+        const focusData = monthSummaries.map(m =>
+            m.summary ? Math.round(m.summary.totalFocusTime / 3600000 * 10) / 10 : 0
+        );
+        const productivityData = monthSummaries.map(m =>
+            m.summary ? Math.round(m.summary.avgProductivity * 10) / 10 : 0
+        );
 
         this.charts.monthlyComparison = new Chart(ctx, {
             type: 'bar',
@@ -571,7 +758,7 @@ class AnalyticsDashboard {
     }
 
     formatDateLabel(dateStr) {
-        const date = new Date(dateStr);
+        const date = DayCalendar.parseDayKey(dateStr);
         if (this.currentPeriod === 'week') {
             return date.toLocaleDateString('en-US', { weekday: 'short' });
         } else if (this.currentPeriod === 'month') {
@@ -594,5 +781,23 @@ class AnalyticsDashboard {
 
 // Initialize dashboard when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    window.analytics = new AnalyticsDashboard();
+    window.eventBus = typeof EventBus !== 'undefined' ? new EventBus() : null;
+
+    // Day boundaries follow the "day starts at" setting
+    if (typeof SettingsStore !== 'undefined') {
+        window.settingsStore = new SettingsStore({
+            onChange: (section, values, { external }) => {
+                window.eventBus?.emit('settings:change', { section, values, external });
+            }
+        });
+    }
+    window.analytics = new AnalyticsDashboard({ events: window.eventBus });
 });
+
+// Analytics can be the first page opened, so it registers the service worker too
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('⚠️ Service worker registration failed:', err));
+    });
+}
@@ -3,691 +3,670 @@
  * A brutally honest productivity mirror
  */
 
-class ProductivityTracker {
-    constructor() {
-        // State
-        this.state = {
-            realTimeStart: null,
-            focusTimeAccumulated: 0,
-            focusTimeStart: null,
-            isFocusing: false,
-            focusSessions: 0,
-            longestStreak: 0,
-            currentStreakStart: null
-        };
-
-        // DOM Elements
-        this.elements = {
-            realTimeDisplay: document.getElementById('realTimeDisplay'),
-            focusTimeDisplay: document.getElementById('focusTimeDisplay'),
-            productivityPercent: document.getElementById('productivityPercent'),
-            progressRing: document.getElementById('progressRing'),
-            startPauseBtn: document.getElementById('startPauseBtn'),
-            resetBtn: document.getElementById('resetBtn'),
-            btnIcon: document.getElementById('btnIcon'),
-            btnText: document.getElementById('btnText'),
-            focusStatus: document.getElementById('focusStatus'),
-            sessionStart: document.getElementById('sessionStart'),
-            focusSessions: document.getElementById('focusSessions'),
-            avgSession: document.getElementById('avgSession'),
-            longestStreak: document.getElementById('longestStreak'),
-            statusBadge: document.getElementById('statusBadge')
-        };
-
-        // Constants
-        this.STORAGE_KEY = 'focusRatioState';
-        this.CIRCUMFERENCE = 2 * Math.PI * 85; // Circle radius from SVG
-
-        // Initialize
-        this.init();
-    }
+// ==================== Initialize App with Presence Detection ====================
 
-    init() {
-        this.loadState();
-        this.bindEvents();
-        this.startTimers();
-        this.updateUI();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Event bus first - every module below publishes to it
+    window.eventBus = new EventBus();
+
+    // Settings next - day boundaries and every module's options come from the store
+    if (typeof SettingsStore !== 'undefined') {
+        window.settingsStore = new SettingsStore({
+            onChange: (section, values, { external }) => {
+                applySettingsSection(section, { external });
+                window.eventBus.emit('settings:change', { section, values, external });
+            }
+        });
     }
 
-    // ==================== State Management ====================
-
-    loadState() {
-        const saved = localStorage.getItem(this.STORAGE_KEY);
-
-        if (saved) {
-            try {
-                const parsed = JSON.parse(saved);
-                const savedDate = new Date(parsed.realTimeStart).toDateString();
-                const today = new Date().toDateString();
-
-                // Only restore if it's the same day
-                if (savedDate === today) {
-                    this.state = {
-                        ...this.state,
-                        realTimeStart: new Date(parsed.realTimeStart),
-                        focusTimeAccumulated: parsed.focusTimeAccumulated || 0,
-                        isFocusing: false, // Always start paused after refresh
-                        focusSessions: parsed.focusSessions || 0,
-                        longestStreak: parsed.longestStreak || 0
-                    };
-                } else {
-                    // New day, fresh start
-                    this.resetForNewDay();
+    // Coordinate with other open tabs - only the leader runs the clock and camera
+    let isLeader = true;
+    if (typeof TabSync !== 'undefined') {
+        window.tabSync = new TabSync({
+            onState: (state) => window.tracker && window.tracker.applySyncedState(state),
+            onCommand: (command) => {
+                if (command.action === 'pomodoro') {
+                    if (window.pomodoroTimer) window.pomodoroTimer.handleSyncCommand(command);
+                } else if (window.tracker) {
+                    window.tracker.handleSyncCommand(command);
                 }
-            } catch (e) {
-                console.error('Error loading state:', e);
-                this.resetForNewDay();
+            },
+            onStateRequest: () => window.tracker && window.tracker.publishState(),
+            onBecomeLeader: () => {
+                window.tracker.becomeLeader();
+                if (window.pomodoroTimer) window.pomodoroTimer.becomeLeader();
+                initVisibilityPolicy();
+                initPresenceFeatures();
+                showToast('🔗 This tab now runs the tracker', 'info');
             }
-        } else {
-            this.resetForNewDay();
-        }
+        });
+        isLeader = await window.tabSync.init();
     }
 
-    saveState() {
-        const stateToSave = {
-            realTimeStart: this.state.realTimeStart.toISOString(),
-            focusTimeAccumulated: this.state.focusTimeAccumulated,
-            focusSessions: this.state.focusSessions,
-            longestStreak: this.state.longestStreak
-        };
-        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(stateToSave));
+    // Initialize the productivity tracker
+    window.tracker = new ProductivityTracker({ isLeader, events: window.eventBus });
+    if (!isLeader) {
+        window.tabSync.requestState();
     }
+    connectEvents(window.eventBus);
 
-    resetForNewDay() {
-        this.state.realTimeStart = new Date();
-        this.state.focusTimeAccumulated = 0;
-        this.state.focusTimeStart = null;
-        this.state.isFocusing = false;
-        this.state.focusSessions = 0;
-        this.state.longestStreak = 0;
-        this.saveState();
+    // The leader applies the hidden-tab policy; followers report whether they are on screen
+    if (isLeader) {
+        initVisibilityPolicy();
     }
-
-    // ==================== Timer Logic ====================
-
-    startTimers() {
-        // Update every 100ms for smooth display
-        setInterval(() => this.tick(), 100);
+    if (window.tabSync) {
+        const reportVisibility = () => {
+            if (!window.tracker.isLeader) {
+                window.tabSync.sendCommand('visibility', { tabId: window.tabSync.tabId, visible: !document.hidden });
+            }
+        };
+        document.addEventListener('visibilitychange', reportVisibility);
+        reportVisibility();
     }
 
-    tick() {
-        this.updateTimerDisplays();
-        this.updateProductivity();
+    // Initialize Task Picker - tags focus time with a project
+    if (typeof TaskPicker !== 'undefined') {
+        window.taskPicker = new TaskPicker({
+            onChange: (task) => window.tracker.switchTask(task)
+        });
+        window.tracker.state.sessionTask = window.taskPicker.getActiveTask();
+        console.log('✅ Task picker initialized');
+    }
 
-        // Check for hour warrior achievement (1 hour continuous focus)
-        if (this.state.isFocusing && window.achievements) {
-            const currentStreak = this.getCurrentStreakMs();
-            if (currentStreak >= 60 * 60 * 1000) { // 1 hour
-                window.achievements.unlock('hour_warrior');
-            }
-        }
+    // Add away time element reference
+    window.tracker.elements.awayTime = document.getElementById('awayTime');
 
-        // Check for perfect day achievement
-        const productivity = this.getRealTimeMs() > 0
-            ? (this.getFocusTimeMs() / this.getRealTimeMs()) * 100
-            : 0;
-        if (productivity >= 99 && this.getRealTimeMs() > 30 * 60 * 1000) { // 99%+ after 30 mins
-            if (window.achievements) {
-                window.achievements.unlock('perfect_day');
+    // Initialize Activity Monitor - keyboard/mouse input as a presence signal.
+    // Follower tabs pass their input on, the leader's presence model counts it.
+    if (typeof ActivityMonitor !== 'undefined') {
+        let lastReported = 0;
+        window.activityMonitor = new ActivityMonitor({
+            idleTimeout: getModuleConfig('presence').idleTimeout,
+            onActivity: () => {
+                if (!window.tracker.isLeader && window.tabSync && Date.now() - lastReported > 5000) {
+                    lastReported = Date.now();
+                    window.tabSync.sendCommand('activity');
+                }
             }
-        }
+        });
+        console.log('✅ Activity monitor initialized');
     }
 
-    getRealTimeMs() {
-        return Date.now() - this.state.realTimeStart.getTime();
-    }
+    // Initialize Sound Effects
+    if (typeof SoundEffects !== 'undefined') {
+        window.sounds = new SoundEffects({ volume: 0.3 });
+        console.log('✅ Sound effects initialized');
 
-    getFocusTimeMs() {
-        let total = this.state.focusTimeAccumulated;
-        if (this.state.isFocusing && this.state.focusTimeStart) {
-            total += Date.now() - this.state.focusTimeStart.getTime();
+        // Sound toggle button
+        const soundToggle = document.getElementById('soundToggle');
+        if (soundToggle) {
+            soundToggle.addEventListener('click', () => {
+                const enabled = window.sounds.toggle();
+                soundToggle.textContent = enabled ? '🔊' : '🔇';
+                soundToggle.classList.toggle('muted', !enabled);
+            });
         }
-        return total;
-    }
-
-    getCurrentStreakMs() {
-        if (!this.state.isFocusing || !this.state.currentStreakStart) return 0;
-        return Date.now() - this.state.currentStreakStart.getTime();
     }
 
-    // ==================== UI Updates ====================
+    // Initialize Database
+    if (typeof ProductivityDatabase !== 'undefined') {
+        window.productivityDB = new ProductivityDatabase();
+        await window.productivityDB.init();
+        console.log('✅ Database initialized');
 
-    updateTimerDisplays() {
-        const realTime = this.getRealTimeMs();
-        const focusTime = this.getFocusTimeMs();
+        // Offer to undo a reset made earlier today
+        window.tracker.loadLastReset();
+        await restoreOffscreenTime();
 
-        this.elements.realTimeDisplay.textContent = this.formatTime(realTime);
-        this.elements.focusTimeDisplay.textContent = this.formatTime(focusTime);
-        this.elements.sessionStart.textContent = this.formatStartTime(this.state.realTimeStart);
+        // Initialize Backup & Restore
+        if (typeof BackupManager !== 'undefined') {
+            window.backupManager = new BackupManager(window.productivityDB);
+            console.log('✅ Backup & restore initialized');
+        }
     }
 
-    updateProductivity() {
-        const realTime = this.getRealTimeMs();
-        const focusTime = this.getFocusTimeMs();
+    // Initialize Pomodoro Timer
+    if (typeof PomodoroTimer !== 'undefined') {
+        window.pomodoroTimer = new PomodoroTimer({
+            ...getModuleConfig('pomodoro'),
+            isLeader: window.tracker.isLeader,
+            events: window.eventBus,
+            onStateChange: () => window.tracker.publishState()
+        });
+        window.pomodoroTimer.init();
+        console.log('✅ Pomodoro timer initialized');
+    }
 
-        // Prevent division by zero and ensure focus never exceeds real
-        const cappedFocusTime = Math.min(focusTime, realTime);
-        const productivity = realTime > 0 ? (cappedFocusTime / realTime) * 100 : 0;
+    // Initialize Daily Goals
+    if (typeof DailyGoals !== 'undefined') {
+        window.dailyGoals = new DailyGoals({
+            onEdit: () => window.settingsPanel && window.settingsPanel.show('goals'),
+            events: window.eventBus
+        });
+        console.log('✅ Daily goals initialized');
+    }
 
-        // Update percentage display
-        this.elements.productivityPercent.textContent = productivity.toFixed(2);
+    // Initialize Achievements
+    if (typeof Achievements !== 'undefined') {
+        window.achievements = new Achievements({ events: window.eventBus });
+        console.log('✅ Achievements initialized');
+    }
 
-        // Update progress ring
-        const offset = this.CIRCUMFERENCE - (productivity / 100) * this.CIRCUMFERENCE;
-        this.elements.progressRing.style.strokeDashoffset = offset;
+    // Initialize Motivational Quotes
+    if (typeof MotivationalQuotes !== 'undefined') {
+        window.quotes = new MotivationalQuotes();
+        console.log('✅ Motivational quotes initialized');
+    }
 
-        // Update ring color based on productivity
-        this.updateRingColor(productivity);
+    // Initialize Ambient Sounds
+    if (typeof AmbientSounds !== 'undefined') {
+        window.ambientSounds = new AmbientSounds();
+        console.log('✅ Ambient sounds initialized');
     }
 
-    updateRingColor(productivity) {
-        const ring = this.elements.progressRing;
-        if (productivity >= 70) {
-            ring.style.stroke = '#22c55e'; // Green
-        } else if (productivity >= 40) {
-            ring.style.stroke = '#f59e0b'; // Amber
-        } else if (productivity >= 20) {
-            ring.style.stroke = '#f97316'; // Orange
-        } else {
-            ring.style.stroke = '#ef4444'; // Red
-        }
+    // Initialize Break Reminder
+    if (typeof BreakReminder !== 'undefined') {
+        window.breakReminder = new BreakReminder(getModuleConfig('breaks'));
+        console.log('✅ Break reminders initialized');
     }
 
-    updateUI() {
-        this.updateTimerDisplays();
-        this.updateProductivity();
-        this.updateStats();
-        this.updateButtonState();
-        this.updateFocusStatus();
+    // Initialize Command Palette - Ctrl+K and keyboard shortcuts
+    if (typeof CommandPalette !== 'undefined') {
+        window.commandPalette = new CommandPalette({
+            shortcuts: getModuleConfig('shortcuts').overrides,
+            onShortcutsChange: (overrides) => {
+                if (window.settingsStore) {
+                    window.settingsStore.set('shortcuts', { overrides }, { notify: false });
+                }
+            }
+        });
+        registerCommands(window.commandPalette);
+        console.log('✅ Command palette initialized');
     }
 
-    updateButtonState() {
-        if (this.state.isFocusing) {
-            this.elements.btnIcon.textContent = '⏸';
-            this.elements.btnText.textContent = 'Pause';
-            this.elements.startPauseBtn.classList.add('active');
-        } else {
-            this.elements.btnIcon.textContent = '▶';
-            this.elements.btnText.textContent = 'Start Focus';
-            this.elements.startPauseBtn.classList.remove('active');
-        }
+    // Initialize Settings Panel - one screen for every module's settings
+    if (window.settingsStore && typeof SettingsPanel !== 'undefined') {
+        window.settingsPanel = new SettingsPanel(window.settingsStore, {
+            onEditShortcuts: () => window.commandPalette && window.commandPalette.showCheatSheet()
+        });
+        console.log('✅ Settings panel initialized');
     }
 
-    updateFocusStatus() {
-        const status = this.elements.focusStatus;
-        if (this.state.isFocusing) {
-            status.textContent = 'Focusing';
-            status.classList.add('active');
-        } else {
-            status.textContent = 'Paused';
-            status.classList.remove('active');
-        }
+    // Initialize Replay - debug mode that runs the detectors on recordings with the current settings
+    if (typeof ReplayPanel !== 'undefined') {
+        window.replayPanel = new ReplayPanel({
+            getRunnerOptions: () => ({
+                presence: getModuleConfig('presence'),
+                phone: getModuleConfig('phone'),
+                modelAssets: window.modelAssets || new ModelAssets({
+                    basePath: window.settingsStore ? window.settingsStore.get('general').modelPath : 'vendor/'
+                })
+            })
+        });
     }
 
-    updateStats() {
-        // Focus sessions
-        this.elements.focusSessions.textContent = this.state.focusSessions;
+    // Initialize Plugins - last, so every module they might listen to already exists
+    if (typeof PluginHost !== 'undefined') {
+        window.pluginHost = new PluginHost({
+            page: 'main',
+            events: window.eventBus,
+            settingsStore: window.settingsStore,
+            db: window.productivityDB
+        });
+        window.pluginHost.init();
+    }
 
-        // Average session
-        const avgMs = this.state.focusSessions > 0
-            ? this.state.focusTimeAccumulated / this.state.focusSessions
-            : 0;
-        this.elements.avgSession.textContent = this.formatShortTime(avgMs);
+    // Offer to pick up a focus session that was running when the page closed
+    window.tracker.offerResume();
 
-        // Longest streak
-        this.elements.longestStreak.textContent = this.formatShortTime(this.state.longestStreak);
+    // Only the leader tab runs the camera; a follower starts it if it takes over
+    if (isLeader) {
+        await initPresenceFeatures();
     }
+});
 
-    // ==================== Actions ====================
+// ==================== Event Wiring ====================
 
-    toggleFocus() {
-        if (this.state.isFocusing) {
-            this.pauseFocus();
-        } else {
-            this.startFocus();
-        }
-    }
+// How focus reacts to the other modules. Runs in every tab: in a follower the tracker
+// forwards the resulting start/pause to the leader.
+function connectEvents(events) {
+    const tracker = window.tracker;
 
-    startFocus() {
-        this.state.isFocusing = true;
-        this.state.focusTimeStart = new Date();
-        this.state.currentStreakStart = new Date();
-        this.state.focusSessions++;
-        this.updateButtonState();
-        this.updateFocusStatus();
-        this.updateStats();
-        this.saveState();
-
-        // Play sound effect
-        if (window.sounds) {
-            window.sounds.playStart();
+    // Pomodoro work sessions start and end focus
+    events.on('pomodoro:start', ({ phase }) => {
+        if (phase === 'work' && !tracker.state.isFocusing) {
+            tracker.startFocus();
         }
-
-        // Unlock first focus achievement
-        if (window.achievements) {
-            window.achievements.unlock('first_focus');
+    });
+    events.on('pomodoro:complete', ({ phase }) => {
+        if (phase === 'work' && tracker.state.isFocusing) {
+            tracker.pauseFocus('pomodoro');
         }
+    });
 
-        // Add visual feedback
-        this.elements.focusTimeDisplay.style.animation = 'none';
-        setTimeout(() => {
-            this.elements.focusTimeDisplay.style.animation = '';
-        }, 10);
-    }
-
-    pauseFocus() {
-        if (this.state.focusTimeStart) {
-            const elapsed = Date.now() - this.state.focusTimeStart.getTime();
-            this.state.focusTimeAccumulated += elapsed;
-
-            // Check for longest streak
-            const currentStreak = this.getCurrentStreakMs();
-            if (currentStreak > this.state.longestStreak) {
-                this.state.longestStreak = currentStreak;
-            }
+    // Presence pauses focus when you leave and starts it when you're back
+    events.on('presence:away', () => {
+        if (window.presenceDetector.config.autoPauseEnabled && tracker.state.isFocusing) {
+            tracker.pauseFocus('away');
+            showToast('⏸️ Focus paused - You left your desk!', 'warning');
+            console.log('🚨 Auto-paused: User went away');
         }
-
-        this.state.isFocusing = false;
-        this.state.focusTimeStart = null;
-        this.state.currentStreakStart = null;
-        this.updateButtonState();
-        this.updateFocusStatus();
-        this.updateStats();
-        this.saveState();
-
-        // Play sound effect
-        if (window.sounds) {
-            window.sounds.playPause();
+    });
+    events.on('presence:return', () => {
+        if (window.presenceDetector.config.autoStartEnabled && !tracker.state.isFocusing) {
+            tracker.startFocus();
+            showToast('🎯 Face detected - Focus started automatically!', 'success');
+            console.log('✅ Auto-started: Face detected');
         }
+    });
 
-        // Save to database
-        this.saveToDatabase();
-    }
+    // Colleagues stopping by are logged against the running session
+    events.on('interruption:start', (interruption) => {
+        tracker.beginInterruption(interruption);
+        showToast(`👥 ${interruption.faces} people at the desk - logging the interruption`, 'info');
+    });
+    events.on('interruption:end', (interruption) => {
+        tracker.recordInterruption(interruption);
+    });
 
-    resetFocus() {
-        // Confirm reset
-        if (this.state.focusTimeAccumulated > 0 || this.state.isFocusing) {
-            const confirmed = confirm('Reset focus time? This cannot be undone.');
-            if (!confirmed) return;
+    events.on('phone:detected', () => {
+        if (tracker.state.isFocusing) {
+            tracker.pauseFocus('phone');
         }
+        showToast('📵 VIOLATION: Phone detected! Focus paused.', 'danger');
+    });
+    events.on('mood:drowsy', () => {
+        if (tracker.state.isFocusing) {
+            tracker.pauseFocus('drowsy');
+        }
+    });
+}
 
-        this.state.focusTimeAccumulated = 0;
-        this.state.focusTimeStart = null;
-        this.state.isFocusing = false;
-        this.state.focusSessions = 0;
-        this.state.longestStreak = 0;
-        this.state.currentStreakStart = null;
-
-        this.updateUI();
-        this.saveState();
+// ==================== Settings ====================
+
+// Module options for a settings section - the store keeps the units shown in the panel
+function getModuleConfig(section) {
+    const settings = window.settingsStore
+        ? window.settingsStore.get(section)
+        : SettingsStore.normalize(section, {});
+    const SECOND = 1000;
+    const MINUTE = 60 * SECOND;
+
+    switch (section) {
+        case 'goals':
+            return DailyGoals.fromSettings(settings);
+        case 'pomodoro':
+            return {
+                workDuration: settings.workMinutes * MINUTE,
+                shortBreak: settings.shortBreakMinutes * MINUTE,
+                longBreak: settings.longBreakMinutes * MINUTE,
+                longBreakInterval: settings.longBreakInterval,
+                autoStartBreaks: settings.autoStartBreaks,
+                autoStartWork: settings.autoStartWork
+            };
+        case 'breaks':
+            return {
+                enabled: settings.enabled,
+                reminderInterval: settings.intervalMinutes * MINUTE,
+                snoozeDuration: settings.snoozeMinutes * MINUTE
+            };
+        case 'presence':
+            return {
+                // Without input tracking only the camera is left
+                mode: window.activityMonitor ? settings.mode : 'camera',
+                backend: settings.backend,
+                awayThreshold: settings.awaySeconds * SECOND,
+                autoPauseEnabled: settings.autoPause,
+                autoStartEnabled: settings.autoStart,
+                cameraWeight: settings.cameraWeight / 100,
+                activityWeight: settings.activityWeight / 100,
+                idleTimeout: settings.idleSeconds * SECOND
+            };
+        case 'phone':
+            return {
+                enabled: settings.enabled,
+                confidenceThreshold: settings.confidence / 100,
+                warningCooldown: settings.cooldownSeconds * SECOND,
+                detectionInterval: settings.intervalSeconds * SECOND
+            };
+        default:
+            return settings;
     }
+}
 
-    // ==================== Event Binding ====================
-
-    bindEvents() {
-        this.elements.startPauseBtn.addEventListener('click', () => this.toggleFocus());
-        this.elements.resetBtn.addEventListener('click', () => this.resetFocus());
-
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !e.target.matches('button')) {
-                e.preventDefault();
-                this.toggleFocus();
+// Saved, imported or changed in another tab - hand the section to its module right away.
+// 'general' needs nothing here: day boundaries and the resume policy read the store when used.
+function applySettingsSection(section, { external = false } = {}) {
+    switch (section) {
+        case 'goals':
+            // Only the tab the goals were edited in records them in the goal history
+            if (window.dailyGoals) {
+                window.dailyGoals.setGoals(getModuleConfig('goals'), { recordHistory: !external });
             }
-            if (e.code === 'KeyR' && e.ctrlKey) {
-                e.preventDefault();
-                this.resetFocus();
+            break;
+        case 'pomodoro':
+            if (window.pomodoroTimer) window.pomodoroTimer.updateConfig(getModuleConfig('pomodoro'));
+            break;
+        case 'breaks':
+            if (window.breakReminder) window.breakReminder.updateConfig(getModuleConfig('breaks'));
+            break;
+        case 'general':
+            if (window.modelAssets
+                && ModelAssets.normalizeBasePath(window.settingsStore.get('general').modelPath) !== window.modelAssets.config.basePath) {
+                showToast('The model files location changes after a reload', 'info', {
+                    actionLabel: 'Reload',
+                    onAction: () => window.location.reload(),
+                    duration: 10000
+                });
             }
-        });
-
-        // Visibility change - pause when tab is hidden (optional behavior)
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.state.isFocusing) {
-                // Optionally pause when tab is hidden
-                // this.pauseFocus();
+            break;
+        case 'presence': {
+            const config = getModuleConfig('presence');
+            if (window.activityMonitor) window.activityMonitor.setIdleTimeout(config.idleTimeout);
+            if (window.presenceDetector) {
+                window.presenceDetector.applySettings(config);
+                if (config.mode !== window.presenceDetector.config.mode
+                    || config.backend !== window.presenceDetector.config.backend) {
+                    showToast('Presence signals change after a reload', 'info', {
+                        actionLabel: 'Reload',
+                        onAction: () => window.location.reload(),
+                        duration: 10000
+                    });
+                }
             }
-        });
+            break;
+        }
+        case 'phone':
+            if (window.phoneDetector) window.phoneDetector.updateConfig(getModuleConfig('phone'));
+            break;
+        case 'visibility':
+            if (window.visibilityPolicy) window.visibilityPolicy.applySettings(getModuleConfig('visibility'));
+            break;
+        case 'shortcuts':
+            if (window.commandPalette) window.commandPalette.applyShortcuts(getModuleConfig('shortcuts').overrides);
+            break;
+    }
+}
 
-        // Before unload - save state
-        window.addEventListener('beforeunload', () => {
-            if (this.state.isFocusing) {
-                // Save current progress before closing
-                const elapsed = Date.now() - this.state.focusTimeStart.getTime();
-                this.state.focusTimeAccumulated += elapsed;
-                this.saveState();
+// ==================== Visibility Policy ====================
+
+// What hidden-tab time does to focus: nothing, a pause after a while, or its own off-screen bucket
+function initVisibilityPolicy() {
+    if (typeof VisibilityPolicy === 'undefined' || window.visibilityPolicy) return;
+
+    window.visibilityPolicy = new VisibilityPolicy({
+        settings: getModuleConfig('visibility'),
+        events: window.eventBus,
+        onPause: () => {
+            if (!window.tracker.state.isFocusing) return false;
+            window.tracker.pauseFocus('hidden');
+            return true;
+        },
+        onHold: () => window.tracker.holdFocus(),
+        onReturn: ({ hiddenMs, pausedFocus, mode }) => {
+            if (!pausedFocus) return;
+
+            const minutes = Math.round(hiddenMs / 60000);
+            if (mode === 'offscreen') {
+                // The same session carries on; the hidden stretch stays in the off-screen bucket
+                window.tracker.releaseFocus();
+                showToast(`🪟 Welcome back - ${minutes} min off-screen`, 'info');
+            } else {
+                showToast(`⏸️ Focus paused while the tab was hidden (${minutes} min)`, 'warning');
             }
-            // Save to database on close
-            this.saveToDatabase();
-        });
+        }
+    });
+    console.log('✅ Visibility policy initialized');
+    restoreOffscreenTime();
+}
 
-        // Auto-save to database every 5 minutes
-        setInterval(() => {
-            this.saveToDatabase();
-        }, 5 * 60 * 1000);
+// The off-screen total lives in memory, so pick up what today's stats already hold before the
+// next save overwrites them
+async function restoreOffscreenTime() {
+    if (!window.visibilityPolicy || !window.productivityDB) return;
+
+    try {
+        const dayKey = DayCalendar.getDayKey(window.tracker.state.realTimeStart);
+        const stats = await window.productivityDB.get('dailyStats', dayKey);
+        window.visibilityPolicy.restoreOffscreenTime(stats ? stats.offscreenTime : 0);
+    } catch (error) {
+        console.error('Failed to restore off-screen time:', error);
     }
+}
 
-    // ==================== Database ====================
-
-    async saveToDatabase() {
-        if (!window.productivityDB) return;
-
-        try {
-            const stats = {
-                focusTime: this.getFocusTimeMs(),
-                realTime: this.getRealTimeMs(),
-                productivity: this.getRealTimeMs() > 0
-                    ? (this.getFocusTimeMs() / this.getRealTimeMs()) * 100
-                    : 0,
-                sessions: this.state.focusSessions,
-                longestStreak: this.state.longestStreak,
-                awayTime: window.presenceDetector
-                    ? window.presenceDetector.getAwayTime()
-                    : 0
-            };
+// ==================== Commands ====================
 
-            await window.productivityDB.saveDailyStats(stats);
-            console.log('💾 Stats saved to database');
-        } catch (error) {
-            console.error('Failed to save stats:', error);
-        }
-    }
-
-    // ==================== Formatting ====================
+// Every action reachable from the command palette; modules are looked up when a command runs
+// because the camera-driven ones only exist once the camera has started
+function registerCommands(palette) {
+    const tracker = window.tracker;
 
-    formatTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
-        const seconds = totalSeconds % 60;
+    palette.register({
+        id: 'focus.toggle', group: 'Focus', title: 'Start / pause focus', shortcut: 'Space',
+        run: () => tracker.toggleFocus()
+    });
+    palette.register({
+        id: 'focus.reset', group: 'Focus', title: 'Reset focus time', shortcut: 'Alt+R',
+        run: () => tracker.resetFocus()
+    });
+    palette.register({
+        id: 'focus.undoReset', group: 'Focus', title: 'Undo last reset', shortcut: 'Alt+U',
+        run: () => tracker.undoReset(),
+        isAvailable: () => tracker.canUndoReset()
+    });
+    palette.register({
+        id: 'task.switch', group: 'Focus', title: 'Switch task', shortcut: 'T',
+        run: () => document.getElementById('taskInput').focus(),
+        isAvailable: () => Boolean(window.taskPicker)
+    });
 
-        return [hours, minutes, seconds]
-            .map(v => v.toString().padStart(2, '0'))
-            .join(':');
+    const hasPomodoro = () => Boolean(window.pomodoroTimer);
+    palette.register({
+        id: 'pomodoro.toggle', group: 'Pomodoro', title: 'Start / pause pomodoro', shortcut: 'P',
+        run: () => window.pomodoroTimer.toggleTimer(),
+        isAvailable: hasPomodoro
+    });
+    palette.register({
+        id: 'pomodoro.skip', group: 'Pomodoro', title: 'Skip to next phase', shortcut: 'Shift+P',
+        run: () => window.pomodoroTimer.skip(),
+        isAvailable: hasPomodoro
+    });
+    palette.register({
+        id: 'pomodoro.reset', group: 'Pomodoro', title: 'Reset pomodoro',
+        run: () => window.pomodoroTimer.reset(),
+        isAvailable: hasPomodoro
+    });
+    [['work', 'Work session', '1'], ['shortBreak', 'Short break', '2'], ['longBreak', 'Long break', '3']]
+        .forEach(([phase, title, shortcut]) => palette.register({
+            id: `pomodoro.phase.${phase}`, group: 'Pomodoro', title: `Switch to ${title.toLowerCase()}`, shortcut,
+            run: () => window.pomodoroTimer.setPhase(phase),
+            isAvailable: hasPomodoro
+        }));
+
+    if (window.ambientSounds) {
+        Object.entries(window.ambientSounds.sounds).forEach(([key, sound]) => palette.register({
+            id: `ambient.${key}`, group: 'Ambient Sounds', title: `${sound.icon} ${sound.name}`,
+            run: () => window.ambientSounds.toggleSound(key)
+        }));
+        palette.register({
+            id: 'ambient.stop', group: 'Ambient Sounds', title: 'Stop ambient sound', shortcut: 'M',
+            run: () => window.ambientSounds.stop(),
+            isAvailable: () => Boolean(window.ambientSounds.currentSound)
+        });
     }
 
-    formatShortTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const hours = Math.floor(totalSeconds / 3600);
-        const minutes = Math.floor((totalSeconds % 3600) / 60);
+    palette.register({
+        id: 'camera.preview', group: 'Camera', title: 'Toggle camera preview', shortcut: 'C',
+        run: () => window.presenceDetector.togglePreview(),
+        isAvailable: () => Boolean(window.presenceDetector && window.presenceDetector.usesCamera())
+    });
+    palette.register({
+        id: 'presence.settings', group: 'Camera', title: 'Presence detection settings',
+        run: () => window.settingsPanel.show('presence'),
+        isAvailable: () => Boolean(window.settingsPanel)
+    });
+    palette.register({
+        id: 'camera.gallery', group: 'Camera', title: 'Open photo gallery', shortcut: 'G',
+        run: () => window.photoCapture.toggleGallery(),
+        isAvailable: () => Boolean(window.photoCapture && window.photoCapture.state.isInitialized)
+    });
 
-        if (hours > 0) {
-            return `${hours}:${minutes.toString().padStart(2, '0')}`;
-        }
-        return `${minutes}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
-    }
+    palette.register({
+        id: 'visibility.settings', group: 'Focus', title: 'Hidden tab policy',
+        run: () => window.settingsPanel.show('visibility'),
+        isAvailable: () => Boolean(window.settingsPanel)
+    });
+    palette.register({
+        id: 'visibility.backToTab', group: 'Focus', title: 'Stop excusing hidden time (back to this tab)',
+        run: () => window.settingsStore.set('visibility', { workingIn: '' }),
+        isAvailable: () => Boolean(window.visibilityPolicy && window.visibilityPolicy.isExcused())
+    });
 
-    formatStartTime(date) {
-        return date.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        });
-    }
+    palette.register({
+        id: 'goals.edit', group: 'Goals', title: 'Edit daily goals', shortcut: 'E',
+        run: () => window.settingsPanel.show('goals'),
+        isAvailable: () => Boolean(window.settingsPanel)
+    });
+    palette.register({
+        id: 'data.backup', group: 'Data', title: 'Backup & restore',
+        run: () => window.backupManager.showModal(),
+        isAvailable: () => Boolean(window.backupManager)
+    });
+    palette.register({
+        id: 'app.sounds', group: 'App', title: 'Toggle sound effects',
+        run: () => document.getElementById('soundToggle').click(),
+        isAvailable: () => Boolean(window.sounds)
+    });
+    palette.register({
+        id: 'app.analytics', group: 'App', title: 'Open analytics', shortcut: 'A',
+        run: () => { window.location.href = 'analytics.html'; }
+    });
+    palette.register({
+        id: 'app.settings', group: 'App', title: 'Open settings', shortcut: 'S',
+        run: () => window.settingsPanel.show(),
+        isAvailable: () => Boolean(window.settingsPanel)
+    });
+    palette.register({
+        id: 'app.shortcuts', group: 'App', title: 'Show keyboard shortcuts',
+        run: () => palette.showCheatSheet()
+    });
+    palette.register({
+        id: 'camera.replay', group: 'Camera', title: 'Replay a recording (debug)',
+        run: () => window.replayPanel.show(),
+        isAvailable: () => Boolean(window.replayPanel)
+    });
 }
 
-// ==================== Toast Notification ====================
+// ==================== Presence Detection ====================
 
-function showToast(message, type = 'info') {
-    // Remove existing toast
-    const existingToast = document.querySelector('.auto-pause-toast');
-    if (existingToast) {
-        existingToast.remove();
+// Camera-driven features: presence, photos, mood and phone detection
+async function initPresenceFeatures() {
+    if (typeof PresenceDetector === 'undefined') {
+        console.warn('⚠️ PresenceDetector not loaded');
+        return;
     }
 
-    // Create toast element
-    const toast = document.createElement('div');
-    toast.className = 'auto-pause-toast';
-    toast.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
-            <line x1="12" y1="9" x2="12" y2="13"/>
-            <line x1="12" y1="17" x2="12.01" y2="17"/>
-        </svg>
-        <span>${message}</span>
-    `;
-
-    document.body.appendChild(toast);
-
-    // Trigger animation
-    requestAnimationFrame(() => {
-        toast.classList.add('visible');
+    // Detector code and weights come from the local model folder, checked against their hashes
+    window.modelAssets = new ModelAssets({
+        basePath: window.settingsStore ? window.settingsStore.get('general').modelPath : 'vendor/'
     });
 
-    // Remove after 4 seconds
-    setTimeout(() => {
-        toast.classList.remove('visible');
-        setTimeout(() => toast.remove(), 400);
-    }, 4000);
-}
-
-// ==================== Initialize App with Presence Detection ====================
-
-document.addEventListener('DOMContentLoaded', async () => {
-    // Initialize the productivity tracker
-    window.tracker = new ProductivityTracker();
-
-    // Add away time element reference
-    window.tracker.elements.awayTime = document.getElementById('awayTime');
+    try {
+        window.presenceDetector = new PresenceDetector({
+            ...getModuleConfig('presence'),
+            modelAssets: window.modelAssets,
+            activityMonitor: window.activityMonitor || null,
+            onIndicatorClick: () => window.settingsPanel && window.settingsPanel.show('presence'),
+            events: window.eventBus
+        });
 
-    // Initialize Sound Effects
-    if (typeof SoundEffects !== 'undefined') {
-        window.sounds = new SoundEffects({ volume: 0.3 });
-        console.log('✅ Sound effects initialized');
+        await window.presenceDetector.init();
+        console.log('✅ Presence detection initialized');
 
-        // Sound toggle button
-        const soundToggle = document.getElementById('soundToggle');
-        if (soundToggle) {
-            soundToggle.addEventListener('click', () => {
-                const enabled = window.sounds.toggle();
-                soundToggle.textContent = enabled ? '🔊' : '🔇';
-                soundToggle.classList.toggle('muted', !enabled);
+        // Initialize Photo Capture
+        if (typeof PhotoCapture !== 'undefined') {
+            window.photoCapture = new PhotoCapture({
+                captureOnAway: true,
+                captureDelay: 1000,
+                maxPhotos: 10,
+                events: window.eventBus
             });
-        }
-    }
 
-    // Initialize Database
-    if (typeof ProductivityDatabase !== 'undefined') {
-        window.productivityDB = new ProductivityDatabase();
-        await window.productivityDB.init();
-        console.log('✅ Database initialized');
-    }
+            // Get video element from webcam container
+            const videoElement = document.getElementById('webcamVideo');
+            if (videoElement) {
+                window.photoCapture.init(videoElement);
+                console.log('✅ Photo capture initialized');
+            }
+        }
 
-    // Initialize presence detector if available
-    if (typeof PresenceDetector !== 'undefined') {
-        try {
-            window.presenceDetector = new PresenceDetector({
-                awayThreshold: 3000,      // 3 seconds without face = away (faster detection)
-                returnThreshold: 1000,    // 1 second with face = returned
-                autoPauseEnabled: true,
-
-                onPresenceChange: (isPresent) => {
-                    console.log(`Presence changed: ${isPresent ? 'Present' : 'Away'}`);
-                },
-
-                onAway: () => {
-                    // Auto-pause focus timer when user leaves
-                    if (window.tracker.state.isFocusing) {
-                        window.tracker.pauseFocus();
-                        showToast('⏸️ Focus paused - You left your desk!', 'warning');
-                        console.log('🚨 Auto-paused: User went away');
-                    }
-                },
-
-                onReturn: () => {
-                    // Auto-START focus timer when user returns/is detected!
-                    if (!window.tracker.state.isFocusing) {
-                        window.tracker.startFocus();
-                        showToast('🎯 Face detected - Focus started automatically!', 'success');
-                        console.log('✅ Auto-started: Face detected');
-                    }
-                }
+        // Initialize Mood Detector
+        if (typeof MoodDetector !== 'undefined') {
+            window.moodDetector = new MoodDetector({
+                updateInterval: 2000,
+                events: window.eventBus
             });
 
-            await window.presenceDetector.init();
-            console.log('✅ Presence detection initialized');
-
-            // Initialize Photo Capture
-            if (typeof PhotoCapture !== 'undefined') {
-                window.photoCapture = new PhotoCapture({
-                    captureOnAway: true,
-                    maxPhotos: 10,
-                    onPhotoCapture: (photo) => {
-                        console.log('📸 Photo captured at:', photo.timestamp);
-                    }
-                });
-
-                // Get video element from webcam container
-                const videoElement = document.getElementById('webcamVideo');
-                if (videoElement) {
-                    window.photoCapture.init(videoElement);
-                    console.log('✅ Photo capture initialized');
-
-                    // Capture photo when user goes away
-                    const originalOnAway = window.presenceDetector.onAway;
-                    window.presenceDetector.onAway = () => {
-                        // Call original handler
-                        if (window.tracker.state.isFocusing) {
-                            window.tracker.pauseFocus();
-                            showToast('⏸️ Focus paused - You left your desk!', 'warning');
-                            console.log('🚨 Auto-paused: User went away');
-                        }
-
-                        // Capture photo after a short delay
-                        setTimeout(() => {
-                            if (window.photoCapture && !window.presenceDetector.state.isPresent) {
-                                window.photoCapture.capturePhoto('away');
-                            }
-                        }, 1000);
-                    };
-                }
-            }
+            window.moodDetector.init();
+            console.log('✅ Mood detector initialized');
+        }
 
-            // Initialize Mood Detector
-            if (typeof MoodDetector !== 'undefined') {
-                window.moodDetector = new MoodDetector({
-                    updateInterval: 2000,
-                    onMoodChange: (mood) => {
-                        console.log('😊 Mood changed to:', mood.label);
-                    },
-                    onDrowsy: () => {
-                        console.log('😴 Drowsiness detected!');
-                        // Auto-pause if drowsy
-                        if (window.tracker.state.isFocusing) {
-                            window.tracker.pauseFocus();
-                        }
-                    }
+        // Initialize Phone Detector - catches you using your mobile!
+        if (typeof PhoneDetector !== 'undefined') {
+            const videoElement = document.getElementById('webcamVideo');
+            if (videoElement) {
+                window.phoneDetector = new PhoneDetector({
+                    ...getModuleConfig('phone'),
+                    modelAssets: window.modelAssets,
+                    events: window.eventBus
                 });
 
-                window.moodDetector.init();
-                console.log('✅ Mood detector initialized');
-            }
-
-            // Initialize Phone Detector - catches you using your mobile!
-            if (typeof PhoneDetector !== 'undefined') {
-                const videoElement = document.getElementById('webcamVideo');
-                if (videoElement) {
-                    window.phoneDetector = new PhoneDetector({
-                        detectionInterval: 1500,     // Check every 1.5 seconds
-                        confidenceThreshold: 0.4,    // 40% confidence
-                        warningCooldown: 15000,      // 15 seconds between warnings
-                        onPhoneDetected: (detection) => {
-                            console.log('📱🚨 PHONE VIOLATION!', detection);
-                            // Pause focus when caught with phone
-                            if (window.tracker.state.isFocusing) {
-                                window.tracker.pauseFocus();
-                            }
-                            showToast('📵 VIOLATION: Phone detected! Focus paused.', 'danger');
-                        }
-                    });
-
-                    // Initialize after a delay to let camera stabilize
-                    setTimeout(async () => {
-                        await window.phoneDetector.init(videoElement);
+                // Initialize after a delay to let camera stabilize
+                setTimeout(async () => {
+                    if (await window.phoneDetector.init(videoElement)) {
                         console.log('✅ Phone detector initialized - No phones allowed! 📵');
-                    }, 3000);
-                }
-            }
-
-            // Update away time in stats
-            setInterval(() => {
-                if (window.presenceDetector && window.tracker.elements.awayTime) {
-                    const awayMs = window.presenceDetector.getAwayTime();
-                    window.tracker.elements.awayTime.textContent = window.tracker.formatShortTime(awayMs);
-                }
-            }, 1000);
-
-            // Initialize Pomodoro Timer
-            if (typeof PomodoroTimer !== 'undefined') {
-                window.pomodoroTimer = new PomodoroTimer({
-                    onPomodoroComplete: (count) => {
-                        console.log(`🍅 Pomodoro #${count} completed!`);
-                        // Unlock achievement on first pomodoro
-                        if (window.achievements) {
-                            window.achievements.unlock('first_focus');
-                        }
+                    } else {
+                        showToast(`📵 Phone detection is off: ${window.phoneDetector.state.unavailable}`, 'warning', {
+                            duration: 10000
+                        });
                     }
-                });
-                window.pomodoroTimer.init();
-                console.log('✅ Pomodoro timer initialized');
-            }
-
-            // Initialize Daily Goals
-            if (typeof DailyGoals !== 'undefined') {
-                window.dailyGoals = new DailyGoals();
-                console.log('✅ Daily goals initialized');
+                }, 3000);
             }
+        }
 
-            // Initialize Achievements
-            if (typeof Achievements !== 'undefined') {
-                window.achievements = new Achievements();
-                console.log('✅ Achievements initialized');
-            }
-
-            // Initialize Motivational Quotes
-            if (typeof MotivationalQuotes !== 'undefined') {
-                window.quotes = new MotivationalQuotes();
-                console.log('✅ Motivational quotes initialized');
-            }
-
-            // Initialize Ambient Sounds
-            if (typeof AmbientSounds !== 'undefined') {
-                window.ambientSounds = new AmbientSounds();
-                console.log('✅ Ambient sounds initialized');
-            }
-
-            // Initialize Break Reminder
-            if (typeof BreakReminder !== 'undefined') {
-                window.breakReminder = new BreakReminder();
-                console.log('✅ Break reminders initialized');
-            }
-
-        } catch (error) {
-            console.error('❌ Failed to initialize presence detection:', error);
-
-            // Update UI to show error
-            const presenceStatus = document.getElementById('presenceStatus');
-            const presenceDetail = document.getElementById('presenceDetail');
-            const presenceIndicator = document.getElementById('presenceIndicator');
-
-            if (presenceIndicator) {
-                presenceIndicator.classList.add('error');
-                presenceStatus.textContent = 'Camera Error';
-                presenceDetail.textContent = error.message.includes('Permission')
-                    ? 'Please allow camera access'
-                    : 'Could not start camera';
+        // Update away time in stats
+        setInterval(() => {
+            if (window.presenceDetector && window.tracker.elements.awayTime) {
+                const awayMs = window.presenceDetector.getAwayTime();
+                window.tracker.elements.awayTime.textContent = window.tracker.formatShortTime(awayMs);
             }
+        }, 1000);
+
+    } catch (error) {
+        console.error('❌ Failed to initialize presence detection:', error);
+
+        // Update UI to show error
+        const presenceStatus = document.getElementById('presenceStatus');
+        const presenceDetail = document.getElementById('presenceDetail');
+        const presenceIndicator = document.getElementById('presenceIndicator');
+
+        // A missing face model is already shown by the detector
+        if (presenceIndicator && !(error instanceof ModelAssetError)) {
+            presenceIndicator.classList.add('error');
+            presenceStatus.textContent = 'Camera Error';
+            presenceDetail.textContent = error.message.includes('Permission')
+                ? 'Please allow camera access'
+                : 'Could not start camera';
         }
-    } else {
-        console.warn('⚠️ PresenceDetector not loaded');
     }
-});
+}
 
-// Service Worker Registration (for offline support - optional)
+// Service Worker Registration - caches the app and vendored models for offline use
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        // navigator.serviceWorker.register('/sw.js')
-        //     .then(reg => console.log('SW registered'))
-        //     .catch(err => console.log('SW registration failed'));
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('✅ Service worker registered'))
+            .catch(err => console.warn('⚠️ Service worker registration failed:', err));
     });
 }
 
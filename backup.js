@@ -0,0 +1,404 @@
+/**
+ * Backup & Restore Module
+ * Exports all Focus Ratio data to a single file and restores it on another machine
+ */
+
+const BACKUP_FORMAT = 'focus-ratio-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// localStorage entries that travel with a backup
+const BACKUP_LOCAL_KEYS = {
+    settingsStore: 'focusRatioSettings',
+    achievements: 'achievements',
+    pomodoroState: 'pomodoroState',
+    tasks: 'focusRatioTasks'
+};
+
+const BACKUP_PHOTOS_KEY = 'focusRatioPhotos';
+
+class BackupManager {
+    constructor(db) {
+        this.db = db;
+        this.pendingBackup = null;
+        this.conflicts = [];
+        this.init();
+    }
+
+    init() {
+        this.createUI();
+    }
+
+    createUI() {
+        const backupBtn = document.createElement('button');
+        backupBtn.className = 'sound-toggle backup-toggle';
+        backupBtn.id = 'backupBtn';
+        backupBtn.title = 'Backup & restore';
+        backupBtn.textContent = '💾';
+        backupBtn.addEventListener('click', () => this.showModal());
+
+        const headerActions = document.querySelector('.header-actions');
+        if (headerActions) {
+            headerActions.appendChild(backupBtn);
+        }
+    }
+
+    // ==================== Export ====================
+
+    async createBackup({ includePhotos = false } = {}) {
+        const data = await this.db.exportData();
+        const settings = {};
+
+        Object.entries(BACKUP_LOCAL_KEYS).forEach(([name, key]) => {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                settings[name] = this.parseStored(value);
+            }
+        });
+
+        const backup = {
+            format: BACKUP_FORMAT,
+            formatVersion: BACKUP_FORMAT_VERSION,
+            exportDate: data.exportDate,
+            schemaVersion: data.schemaVersion,
+            stores: data.stores,
+            settings
+        };
+
+        if (includePhotos) {
+            const photos = localStorage.getItem(BACKUP_PHOTOS_KEY);
+            backup.photos = photos ? this.parseStored(photos) : null;
+        }
+
+        return backup;
+    }
+
+    async downloadBackup(options) {
+        const backup = await this.createBackup(options);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `focus-ratio-backup-${DayCalendar.getDayKey()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log('💾 Backup downloaded');
+    }
+
+    // ==================== Validation ====================
+
+    // Returns the parsed backup or throws an Error with a user-facing message
+    validateBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!backup || backup.format !== BACKUP_FORMAT) {
+            throw new Error('Not a Focus Ratio backup file');
+        }
+        if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > this.db.dbVersion) {
+            throw new Error('Backup was made by a newer version of Focus Ratio');
+        }
+        if (!backup.stores || typeof backup.stores !== 'object') {
+            throw new Error('Backup contains no data');
+        }
+
+        Object.entries(backup.stores).forEach(([storeName, records]) => {
+            if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+                throw new Error(`Backup store "${storeName}" is malformed`);
+            }
+        });
+
+        // Older backups get the same backfills the database ran when it was upgraded
+        const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+        (backup.stores.dailyStats || []).forEach((stat, i) => {
+            if (!dayPattern.test(stat.date)) {
+                throw new Error(`Invalid daily stats record #${i + 1}`);
+            }
+        });
+        backup.stores = migrateRecords(backup.stores, backup.schemaVersion || 1);
+        backup.schemaVersion = this.db.dbVersion;
+
+        // Text that is shown in the app later must be what the app itself writes
+        const word = /^[A-Za-z_]+$/;
+        const optional = (value, test) => value === undefined || value === null || test(value);
+        const isText = (value) => typeof value === 'string';
+
+        (backup.stores.dailyStats || []).forEach((stat, i) => {
+            if (typeof stat.focusTimeMs !== 'number') {
+                throw new Error(`Invalid daily stats record #${i + 1}`);
+            }
+        });
+        (backup.stores.sessions || []).forEach((session, i) => {
+            const valid = dayPattern.test(session.date)
+                && typeof session.startTime === 'number' && typeof session.endTime === 'number'
+                && optional(session.endReason, value => word.test(value))
+                && optional(session.pomodoroPhase, value => word.test(value))
+                && optional(session.project, isText) && optional(session.task, isText);
+            if (!valid) {
+                throw new Error(`Invalid session record #${i + 1}`);
+            }
+        });
+        (backup.stores.events || []).forEach((event, i) => {
+            if (!word.test(event.type) || typeof event.timestamp !== 'number') {
+                throw new Error(`Invalid event record #${i + 1}`);
+            }
+        });
+
+        backup.photos = this.validatePhotos(backup.photos);
+        return backup;
+    }
+
+    // The gallery renders photos as markup, so only images the camera could have taken are kept;
+    // a malformed photo set is dropped rather than failing the whole restore
+    validatePhotos(photos) {
+        if (!photos || !/^\d{4}-\d{2}-\d{2}$/.test(photos.date) || !Array.isArray(photos.photos)) {
+            return null;
+        }
+
+        const image = /^data:image\/(jpeg|png);base64,[A-Za-z0-9+/=]+$/;
+        const kept = photos.photos.filter(photo => photo && typeof photo === 'object'
+            && Number.isFinite(photo.id) && !Number.isNaN(new Date(photo.timestamp).getTime())
+            && typeof photo.dataUrl === 'string' && image.test(photo.dataUrl));
+        if (kept.length < photos.photos.length) {
+            console.warn(`⚠️ Skipped ${photos.photos.length - kept.length} invalid photos in the backup`);
+        }
+
+        return kept.length > 0
+            ? { date: photos.date, photos: kept.map(({ id, timestamp, dataUrl, reason }) => ({ id, timestamp, dataUrl, reason })) }
+            : null;
+    }
+
+    // The gallery only shows the current day's photos, older ones would never appear
+    canRestorePhotos(backup) {
+        return Boolean(backup.photos) && backup.photos.date === DayCalendar.getDayKey();
+    }
+
+    describeBackup(backup) {
+        const dates = (backup.stores.dailyStats || []).map(stat => stat.date).sort();
+
+        return {
+            exportDate: new Date(backup.exportDate).toLocaleString(),
+            days: dates.length,
+            firstDay: dates[0] || null,
+            lastDay: dates[dates.length - 1] || null,
+            sessions: (backup.stores.sessions || []).length,
+            goals: (backup.stores.goals || []).length,
+            achievements: (backup.settings?.achievements || []).length,
+            hasPomodoro: Boolean(backup.settings?.pomodoroState),
+            hasGoalSettings: Boolean(backup.settings?.settingsStore?.values?.goals || backup.settings?.dailyGoals),
+            photos: backup.photos?.photos?.length || 0,
+            photosDate: backup.photos?.date || null,
+            photosRestorable: this.canRestorePhotos(backup)
+        };
+    }
+
+    // ==================== Restore ====================
+
+    async restoreBackup(backup, { mode = 'merge', resolutions = {}, restorePhotos = true } = {}) {
+        const counts = await this.db.importData(backup.stores, { mode, resolutions });
+        const settings = { ...backup.settings };
+
+        // Backups from before the settings store kept each module's settings under its own key
+        if (!settings.settingsStore && Object.keys(SETTINGS_LEGACY_KEYS).some(name => name in settings)) {
+            settings.settingsStore = SettingsStore.fromLegacy(settings);
+        }
+
+        Object.entries(BACKUP_LOCAL_KEYS).forEach(([name, key]) => {
+            if (!(name in settings)) return;
+
+            if (name === 'achievements' && mode === 'merge') {
+                // Unlocked badges are never lost by a merge
+                const local = this.parseStored(localStorage.getItem(key)) || [];
+                const merged = [...new Set([...local, ...settings.achievements])];
+                localStorage.setItem(key, JSON.stringify(merged));
+            } else if (mode === 'replace' || localStorage.getItem(key) === null) {
+                localStorage.setItem(key, JSON.stringify(settings[name]));
+            }
+        });
+
+        if (restorePhotos && this.canRestorePhotos(backup)
+            && (mode === 'replace' || !localStorage.getItem(BACKUP_PHOTOS_KEY))) {
+            localStorage.setItem(BACKUP_PHOTOS_KEY, JSON.stringify(backup.photos));
+        }
+
+        console.log('💾 Backup restored:', counts);
+        return counts;
+    }
+
+    parseStored(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    // ==================== Modal ====================
+
+    showModal() {
+        const modal = document.createElement('div');
+        modal.className = 'goals-modal backup-modal';
+        modal.id = 'backupModal';
+        modal.innerHTML = `
+            <div class="goals-modal-content">
+                <h3>Backup & Restore</h3>
+                <div class="backup-block">
+                    <h4>Create Backup</h4>
+                    <label class="backup-check">
+                        <input type="checkbox" id="backupIncludePhotos"> Include captured photos
+                    </label>
+                    <button class="btn-save" id="downloadBackup">Download Backup</button>
+                </div>
+                <div class="backup-block">
+                    <h4>Restore</h4>
+                    <input type="file" id="backupFile" accept="application/json,.json">
+                    <div class="backup-preview" id="backupPreview"></div>
+                </div>
+                <div class="goals-modal-actions">
+                    <button class="btn-cancel" id="closeBackup">Close</button>
+                    <button class="btn-save" id="applyRestore" disabled>Restore</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('visible'), 10);
+
+        document.getElementById('closeBackup').addEventListener('click', () => this.closeModal());
+        document.getElementById('downloadBackup').addEventListener('click', () => {
+            this.downloadBackup({ includePhotos: document.getElementById('backupIncludePhotos').checked })
+                .catch(error => {
+                    console.error('Failed to create backup:', error);
+                    showToast('❌ Backup failed', 'danger');
+                });
+        });
+        document.getElementById('backupFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        document.getElementById('applyRestore').addEventListener('click', () => this.applyRestore());
+    }
+
+    closeModal() {
+        const modal = document.getElementById('backupModal');
+        if (modal) {
+            modal.classList.remove('visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+        this.pendingBackup = null;
+        this.conflicts = [];
+    }
+
+    async loadFile(file) {
+        const preview = document.getElementById('backupPreview');
+        const applyBtn = document.getElementById('applyRestore');
+        this.pendingBackup = null;
+        applyBtn.disabled = true;
+
+        if (!file) {
+            preview.innerHTML = '';
+            return;
+        }
+
+        try {
+            this.pendingBackup = this.validateBackup(await file.text());
+            this.conflicts = await this.db.findDayConflicts(this.pendingBackup.stores);
+        } catch (error) {
+            // The message may quote the file, so it never goes through innerHTML
+            const message = document.createElement('p');
+            message.className = 'backup-error';
+            message.textContent = error.message;
+            preview.replaceChildren(message);
+            return;
+        }
+
+        this.renderPreview(this.describeBackup(this.pendingBackup));
+        applyBtn.disabled = false;
+    }
+
+    renderPreview(summary) {
+        const formatHours = (ms) => `${(ms / 3600000).toFixed(1)}h`;
+        const conflictRows = this.conflicts.map(conflict => `
+            <div class="backup-conflict">
+                <span class="backup-conflict-date">${conflict.date}</span>
+                <select data-date="${conflict.date}">
+                    <option value="local">Keep this device (${formatHours(conflict.local.focusTimeMs)}, ${conflict.local.sessions} sessions)</option>
+                    <option value="backup">Use backup (${formatHours(conflict.backup.focusTimeMs)}, ${conflict.backup.sessions} sessions)</option>
+                </select>
+            </div>
+        `).join('');
+
+        document.getElementById('backupPreview').innerHTML = `
+            <ul class="backup-summary">
+                <li>Exported ${summary.exportDate}</li>
+                <li>${summary.days} days${summary.firstDay ? ` (${summary.firstDay} → ${summary.lastDay})` : ''}</li>
+                <li>${summary.sessions} sessions, ${summary.goals} goals, ${summary.achievements} achievements</li>
+                <li>Pomodoro state: ${summary.hasPomodoro ? 'yes' : 'no'} • Goal settings: ${summary.hasGoalSettings ? 'yes' : 'no'}</li>
+                ${summary.photos ? `<li>${summary.photos} photos from ${summary.photosDate}${summary.photosRestorable ? '' : ' - not restored, the gallery only keeps today\'s photos'}</li>` : ''}
+            </ul>
+            <div class="goal-input-group">
+                <label>Restore Mode</label>
+                <select id="backupMode">
+                    <option value="merge">Merge with data on this device</option>
+                    <option value="replace">Replace all data on this device</option>
+                </select>
+            </div>
+            ${summary.photosRestorable ? `
+                <label class="backup-check">
+                    <input type="checkbox" id="backupRestorePhotos" checked> Restore photos
+                </label>
+            ` : ''}
+            ${this.conflicts.length > 0 ? `
+                <div class="backup-conflicts" id="backupConflicts">
+                    <h4>${this.conflicts.length} days exist on both sides</h4>
+                    ${conflictRows}
+                </div>
+            ` : ''}
+        `;
+
+        // Conflicts only matter when merging
+        document.getElementById('backupMode').addEventListener('change', (e) => {
+            const conflictsEl = document.getElementById('backupConflicts');
+            if (conflictsEl) {
+                conflictsEl.style.display = e.target.value === 'merge' ? '' : 'none';
+            }
+        });
+    }
+
+    async applyRestore() {
+        if (!this.pendingBackup) return;
+
+        const mode = document.getElementById('backupMode').value;
+        if (mode === 'replace' && !confirm('Replace ALL Focus Ratio data on this device with the backup?')) {
+            return;
+        }
+
+        const resolutions = {};
+        document.querySelectorAll('.backup-conflict select').forEach(select => {
+            resolutions[select.dataset.date] = select.value;
+        });
+        const photosCheckbox = document.getElementById('backupRestorePhotos');
+
+        try {
+            await this.restoreBackup(this.pendingBackup, {
+                mode,
+                resolutions,
+                restorePhotos: photosCheckbox ? photosCheckbox.checked : false
+            });
+            this.closeModal();
+            showToast('✅ Backup restored - reloading...', 'success');
+
+            // Running modules hold state in memory, start them fresh from the restored data
+            setTimeout(() => window.location.reload(), 1500);
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            showToast('❌ Restore failed: ' + error.message, 'danger');
+        }
+    }
+}
+
+// Export for use in main app
+window.BackupManager = BackupManager;
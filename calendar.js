@@ -0,0 +1,78 @@
+/**
+ * Calendar Module
+ * Local-time day boundaries shared by the tracker, pomodoro, photos and database
+ */
+
+class DayCalendar {
+    // Hour (0-23, local time) at which a new tracking day begins (Settings > General)
+    static getDayStartHour() {
+        const settingsStore = typeof window !== 'undefined' ? window.settingsStore : null;
+        return settingsStore ? settingsStore.get('general').dayStartHour : 0;
+    }
+
+    // Day key (YYYY-MM-DD) of the tracking day a moment belongs to.
+    // Times before the "day starts at" hour count towards the previous day.
+    static getDayKey(date = new Date()) {
+        const moment = new Date(date);
+        if (moment.getHours() < DayCalendar.getDayStartHour()) {
+            return DayCalendar.formatDayKey(new Date(moment.getFullYear(), moment.getMonth(), moment.getDate() - 1));
+        }
+        return DayCalendar.formatDayKey(moment);
+    }
+
+    // Local calendar date as YYYY-MM-DD (no day-start shift)
+    static formatDayKey(date) {
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    // Local midnight of a day key - never parse day keys with new Date(str), that is UTC
+    static parseDayKey(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static addDays(dayKey, days) {
+        const date = DayCalendar.parseDayKey(dayKey);
+        date.setDate(date.getDate() + days);
+        return DayCalendar.formatDayKey(date);
+    }
+
+    // First moment of a tracking day
+    static getDayStart(dayKey) {
+        const date = DayCalendar.parseDayKey(dayKey);
+        date.setHours(DayCalendar.getDayStartHour());
+        return date;
+    }
+
+    // First moment of the tracking day after the one containing `date`
+    static getNextDayStart(date = new Date()) {
+        return DayCalendar.getDayStart(DayCalendar.addDays(DayCalendar.getDayKey(date), 1));
+    }
+
+    // Monday of the week a day key falls in
+    static getWeekStart(dayKey) {
+        const dayOfWeek = DayCalendar.parseDayKey(dayKey).getDay();
+        return DayCalendar.addDays(dayKey, -((dayOfWeek + 6) % 7));
+    }
+
+    // Month, year and weekday of a day key, for the dailyStats indexes
+    static getDayParts(dayKey) {
+        const date = DayCalendar.parseDayKey(dayKey);
+        return {
+            month: date.getMonth() + 1,
+            year: date.getFullYear(),
+            dayOfWeek: date.getDay()
+        };
+    }
+}
+
+// Export for use; tests load it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DayCalendar };
+} else {
+    window.DayCalendar = DayCalendar;
+}
@@ -0,0 +1,408 @@
+/**
+ * Command Palette Module
+ * Ctrl+K palette for every action, user-editable shortcuts and a cheat sheet
+ */
+
+class CommandPalette {
+    constructor(options = {}) {
+        this.config = {
+            paletteShortcut: 'Ctrl+K',
+            cheatSheetShortcut: '?',
+            ...options
+        };
+
+        this.commands = [];       // { id, title, group, shortcut (default), run, isAvailable }
+        this.overrides = { ...options.shortcuts };  // Command id -> user shortcut, or null when unbound
+        this.state = {
+            isOpen: false,
+            highlighted: 0,
+            matches: [],
+            recordingId: null
+        };
+
+        // Callbacks
+        this.onShortcutsChange = options.onShortcutsChange || (() => { });   // Overrides to persist
+
+        this.init();
+    }
+
+    init() {
+        this.createUI();
+        this.bindEvents();
+    }
+
+    createUI() {
+        const palette = document.createElement('div');
+        palette.className = 'command-palette';
+        palette.id = 'commandPalette';
+        palette.innerHTML = `
+            <div class="command-palette-box" role="dialog" aria-label="Command palette">
+                <input type="text" id="commandInput" class="command-input" autocomplete="off"
+                    placeholder="Type a command..." role="combobox" aria-controls="commandList" aria-expanded="true">
+                <ul class="command-list" id="commandList" role="listbox"></ul>
+                <div class="command-palette-footer">
+                    <span>↑↓ to navigate • Enter to run • Esc to close</span>
+                    <button class="command-link" id="commandShowShortcuts">Keyboard shortcuts</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(palette);
+
+        this.elements = {
+            palette,
+            input: document.getElementById('commandInput'),
+            list: document.getElementById('commandList')
+        };
+    }
+
+    bindEvents() {
+        const { palette, input, list } = this.elements;
+
+        document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
+
+        input.addEventListener('input', () => this.filter());
+        input.addEventListener('keydown', (e) => this.handlePaletteKeydown(e));
+
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-command]');
+            if (item) {
+                e.preventDefault();
+                this.close();
+                this.run(item.dataset.command);
+            }
+        });
+
+        // Click outside the box closes the palette
+        palette.addEventListener('mousedown', (e) => {
+            if (e.target === palette) this.close();
+        });
+
+        document.getElementById('commandShowShortcuts').addEventListener('click', () => {
+            this.close();
+            this.showCheatSheet();
+        });
+    }
+
+    // ==================== Commands ====================
+
+    // command: { id, title, group, shortcut, run, isAvailable }
+    register(command) {
+        this.commands = this.commands.filter(c => c.id !== command.id);
+        this.commands.push({
+            group: 'General',
+            shortcut: null,
+            isAvailable: () => true,
+            ...command
+        });
+    }
+
+    getShortcut(id) {
+        if (id in this.overrides) return this.overrides[id];
+        const command = this.commands.find(c => c.id === id);
+        return command ? command.shortcut : null;
+    }
+
+    getAvailableCommands() {
+        return this.commands.filter(command => command.isAvailable());
+    }
+
+    run(id) {
+        const command = this.commands.find(c => c.id === id);
+        if (!command || !command.isAvailable()) return;
+
+        try {
+            command.run();
+        } catch (error) {
+            console.error(`Command "${id}" failed:`, error);
+        }
+    }
+
+    // ==================== Keyboard ====================
+
+    handleGlobalKeydown(e) {
+        if (this.state.recordingId) return;
+
+        const combo = this.comboFromEvent(e);
+        if (!combo) return;
+
+        if (combo === this.config.paletteShortcut) {
+            e.preventDefault();
+            this.state.isOpen ? this.close() : this.open();
+            return;
+        }
+
+        // Everything else stays out of the way of typing and open dialogs
+        if (this.state.isOpen || e.target.matches('input, textarea, select, [contenteditable]')) return;
+
+        if (combo === this.config.cheatSheetShortcut) {
+            e.preventDefault();
+            this.toggleCheatSheet();
+            return;
+        }
+
+        // Space on a focused button should still press that button
+        if (combo === 'Space' && e.target.matches('button')) return;
+
+        const command = this.getAvailableCommands().find(c => this.getShortcut(c.id) === combo);
+        if (command) {
+            e.preventDefault();
+            this.run(command.id);
+        }
+    }
+
+    // "Ctrl+Shift+P", "Alt+R", "Space", "?"; null for bare modifier presses
+    comboFromEvent(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+        // Letters and digits by physical key, so Alt/Option combos don't turn into symbols
+        let key = e.key;
+        if (e.code === 'Space') key = 'Space';
+        else if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+        else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+        else if (key.length === 1) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        // Shift is already part of printed symbols like "?", only name it for letters and named keys
+        if (e.shiftKey && (key.length > 1 || /[A-Z]/.test(key))) parts.push('Shift');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    // ==================== Palette ====================
+
+    open() {
+        this.state.isOpen = true;
+        this.elements.palette.classList.add('visible');
+        this.elements.input.value = '';
+        this.filter();
+        this.elements.input.focus();
+    }
+
+    close() {
+        this.state.isOpen = false;
+        this.elements.palette.classList.remove('visible');
+        this.elements.input.blur();
+    }
+
+    filter() {
+        const words = this.elements.input.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        this.state.matches = this.getAvailableCommands().filter(command => {
+            const text = `${command.group} ${command.title}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+        this.state.highlighted = 0;
+        this.renderList();
+    }
+
+    renderList() {
+        const { list } = this.elements;
+
+        if (this.state.matches.length === 0) {
+            list.innerHTML = '<li class="command-empty">No matching commands</li>';
+            return;
+        }
+
+        list.innerHTML = this.state.matches.map((command, i) => `
+            <li class="command-item ${i === this.state.highlighted ? 'highlighted' : ''}"
+                role="option" data-command="${command.id}" aria-selected="${i === this.state.highlighted}">
+                <span class="command-group">${command.group}</span>
+                <span class="command-title">${command.title}</span>
+                ${this.getShortcut(command.id) ? `<kbd class="command-kbd">${this.getShortcut(command.id)}</kbd>` : ''}
+            </li>
+        `).join('');
+
+        const highlighted = list.querySelector('.highlighted');
+        if (highlighted) highlighted.scrollIntoView({ block: 'nearest' });
+    }
+
+    handlePaletteKeydown(e) {
+        const count = this.state.matches.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.state.highlighted = count ? (this.state.highlighted + 1) % count : 0;
+                this.renderList();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.state.highlighted = count ? (this.state.highlighted - 1 + count) % count : 0;
+                this.renderList();
+                break;
+            case 'Enter': {
+                e.preventDefault();
+                const command = this.state.matches[this.state.highlighted];
+                this.close();
+                if (command) this.run(command.id);
+                break;
+            }
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+        }
+    }
+
+    // ==================== Cheat Sheet ====================
+
+    toggleCheatSheet() {
+        if (document.getElementById('shortcutsModal')) {
+            this.closeCheatSheet();
+        } else {
+            this.showCheatSheet();
+        }
+    }
+
+    showCheatSheet() {
+        const modal = document.createElement('div');
+        modal.className = 'goals-modal shortcuts-modal';
+        modal.id = 'shortcutsModal';
+        modal.innerHTML = `
+            <div class="goals-modal-content">
+                <h3>Keyboard Shortcuts</h3>
+                <p class="shortcuts-hint">
+                    <kbd class="command-kbd">${this.config.paletteShortcut}</kbd> command palette •
+                    <kbd class="command-kbd">${this.config.cheatSheetShortcut}</kbd> this sheet •
+                    click a shortcut to change it
+                </p>
+                <div class="shortcuts-list" id="shortcutsList"></div>
+                <p class="shortcuts-message" id="shortcutsMessage"></p>
+                <div class="goals-modal-actions">
+                    <button class="btn-cancel" id="resetShortcuts">Reset Defaults</button>
+                    <button class="btn-save" id="closeShortcuts">Done</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('visible'), 10);
+
+        this.renderCheatSheet();
+
+        document.getElementById('closeShortcuts').addEventListener('click', () => this.closeCheatSheet());
+        document.getElementById('resetShortcuts').addEventListener('click', () => {
+            this.overrides = {};
+            this.saveShortcuts();
+            this.renderCheatSheet();
+            this.setCheatSheetMessage('Shortcuts reset to defaults');
+        });
+        document.getElementById('shortcutsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-record]');
+            if (button) this.recordShortcut(button.dataset.record);
+        });
+    }
+
+    closeCheatSheet() {
+        const modal = document.getElementById('shortcutsModal');
+        this.state.recordingId = null;
+        if (modal) {
+            modal.classList.remove('visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    renderCheatSheet() {
+        const list = document.getElementById('shortcutsList');
+        if (!list) return;
+
+        const groups = new Map();
+        this.commands.forEach(command => {
+            if (!groups.has(command.group)) groups.set(command.group, []);
+            groups.get(command.group).push(command);
+        });
+
+        list.innerHTML = Array.from(groups.entries()).map(([group, commands]) => `
+            <div class="shortcuts-group">
+                <h4>${group}</h4>
+                ${commands.map(command => `
+                    <div class="shortcuts-row">
+                        <span>${command.title}</span>
+                        <button class="shortcut-btn ${this.state.recordingId === command.id ? 'recording' : ''}" data-record="${command.id}">
+                            ${this.state.recordingId === command.id
+                                ? 'Press keys...'
+                                : (this.getShortcut(command.id) || '—')}
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    // Capture the next key combo for a command; Escape cancels, Backspace unbinds
+    recordShortcut(id) {
+        this.state.recordingId = id;
+        this.setCheatSheetMessage('Press the new shortcut, Backspace to clear, Esc to cancel');
+        this.renderCheatSheet();
+
+        const onKeydown = (e) => {
+            const combo = this.comboFromEvent(e);
+            if (!combo) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            document.removeEventListener('keydown', onKeydown, true);
+            this.state.recordingId = null;
+
+            if (combo === 'Escape') {
+                this.setCheatSheetMessage('');
+            } else if (combo === 'Backspace') {
+                this.setShortcut(id, null);
+                this.setCheatSheetMessage('Shortcut cleared');
+            } else if (combo === this.config.paletteShortcut || combo === this.config.cheatSheetShortcut) {
+                this.setCheatSheetMessage(`${combo} is reserved`);
+            } else {
+                const previous = this.commands.find(c => c.id !== id && this.getShortcut(c.id) === combo);
+                this.setShortcut(id, combo);
+                this.setCheatSheetMessage(previous
+                    ? `${combo} moved from "${previous.title}"`
+                    : `${combo} saved`);
+            }
+            this.renderCheatSheet();
+        };
+
+        // Capture phase so the combo doesn't also trigger a command
+        document.addEventListener('keydown', onKeydown, true);
+    }
+
+    // A combo belongs to one command at a time
+    setShortcut(id, combo) {
+        if (combo) {
+            this.commands.forEach(command => {
+                if (command.id !== id && this.getShortcut(command.id) === combo) {
+                    this.overrides[command.id] = null;
+                }
+            });
+        }
+
+        const command = this.commands.find(c => c.id === id);
+        if (command && command.shortcut === combo) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = combo;
+        }
+        this.saveShortcuts();
+    }
+
+    setCheatSheetMessage(message) {
+        const messageEl = document.getElementById('shortcutsMessage');
+        if (messageEl) messageEl.textContent = message;
+    }
+
+    // ==================== Persistence ====================
+
+    // Overrides are kept in the settings store, which calls back here after an import or reset
+    saveShortcuts() {
+        this.onShortcutsChange({ ...this.overrides });
+    }
+
+    applyShortcuts(overrides) {
+        this.overrides = { ...overrides };
+        this.renderCheatSheet();
+    }
+}
+
+// Export for use in main app
+window.CommandPalette = CommandPalette;
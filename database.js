@@ -3,74 +3,244 @@
  * Stores daily productivity data for month-to-month progress tracking
  */
 
+// ==================== Schema Migrations ====================
+// Ordered list of schema migrations. Each entry runs exactly once, inside the
+// versionchange transaction, when a browser opens the database at an older
+// version. Never edit a released migration - append a new one instead.
+// upgrade(db, transaction) changes the schema; records maps a store name to a
+// function that rewrites one of its records, which also brings old backups up to date.
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create dailyStats, sessions and goals stores',
+        upgrade(db) {
+            // Daily stats store
+            if (!db.objectStoreNames.contains('dailyStats')) {
+                const dailyStore = db.createObjectStore('dailyStats', { keyPath: 'date' });
+                dailyStore.createIndex('month', 'month', { unique: false });
+                dailyStore.createIndex('year', 'year', { unique: false });
+            }
+
+            // Sessions store
+            if (!db.objectStoreNames.contains('sessions')) {
+                const sessionsStore = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                sessionsStore.createIndex('date', 'date', { unique: false });
+                sessionsStore.createIndex('startTime', 'startTime', { unique: false });
+            }
+
+            // Goals store
+            if (!db.objectStoreNames.contains('goals')) {
+                db.createObjectStore('goals', { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Backfill derived fields and record schema version on every record',
+        records: {
+            dailyStats: (record) => {
+                const [year, month, day] = record.date.split('-').map(Number);
+                const focusTimeMs = record.focusTimeMs || 0;
+                const realTimeMs = record.realTimeMs || 0;
+
+                return {
+                    ...record,
+                    month: record.month || month,
+                    year: record.year || year,
+                    dayOfWeek: record.dayOfWeek ?? new Date(year, month - 1, day).getDay(),
+                    focusTimeMs,
+                    realTimeMs,
+                    productivity: record.productivity ?? (realTimeMs > 0 ? (focusTimeMs / realTimeMs) * 100 : 0),
+                    sessions: record.sessions || 0,
+                    longestStreak: record.longestStreak || 0,
+                    awayTime: record.awayTime || 0,
+                    moodHistory: record.moodHistory || [],
+                    schemaVersion: record.schemaVersion || 1
+                };
+            },
+
+            sessions: (record) => ({
+                ...record,
+                duration: record.duration ?? Math.max(0, (record.endTime || 0) - (record.startTime || 0)),
+                schemaVersion: record.schemaVersion || 1
+            }),
+
+            goals: (record) => ({
+                ...record,
+                schemaVersion: record.schemaVersion || 1
+            })
+        }
+    },
+    {
+        version: 3,
+        description: 'Create events store for the activity history (resets, ...)',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('events')) {
+                const eventsStore = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+                eventsStore.createIndex('date', 'date', { unique: false });
+                eventsStore.createIndex('type', 'type', { unique: false });
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Index sessions by project',
+        upgrade(db, transaction) {
+            const sessionsStore = transaction.objectStore('sessions');
+            if (!sessionsStore.indexNames.contains('project')) {
+                sessionsStore.createIndex('project', 'project', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Track off-screen (hidden tab) time next to away time',
+        records: {
+            dailyStats: (record) => ({
+                ...record,
+                offscreenTime: record.offscreenTime || 0
+            })
+        }
+    },
+    {
+        // The project breakdown reads sessions by date, so nothing ever queried it
+        version: 6,
+        description: 'Drop the unused sessions project index',
+        upgrade(db, transaction) {
+            const sessionsStore = transaction.objectStore('sessions');
+            if (sessionsStore.indexNames.contains('project')) {
+                sessionsStore.deleteIndex('project');
+            }
+        }
+    }
+];
+
+// effectiveFrom of the goal definition that covers all history before the first change
+const GOALS_BASELINE_DATE = '0000-01-01';
+
+// Latest schema version - the version new databases are opened at
+const DB_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring records exported at an older schema version (backups) up to the current one.
+// stores: { storeName: [records] } -> a new object, the input is left as it was
+function migrateRecords(stores, fromVersion) {
+    const migrated = { ...stores };
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.records)
+        .forEach(migration => {
+            Object.entries(migration.records).forEach(([storeName, transform]) => {
+                if (Array.isArray(migrated[storeName])) {
+                    migrated[storeName] = migrated[storeName].map(record => transform(record));
+                }
+            });
+        });
+    return migrated;
+}
+
+// Rewrite every record of a store in place during an upgrade
+function updateEachRecord(transaction, storeName, transform) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.update(transform(cursor.value));
+            cursor.continue();
+        }
+    };
+}
+
 class ProductivityDatabase {
-    constructor() {
-        this.dbName = 'FocusRatioDB';
-        this.dbVersion = 1;
+    // options.indexedDB / options.IDBKeyRange: the browser's by default; tests pass an
+    // in-memory implementation (and their own dbName) to run against a fresh database
+    // options.calendar: DayCalendar by default
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB || window.indexedDB;
+        this.keyRange = options.IDBKeyRange || window.IDBKeyRange;
+        this.calendar = options.calendar || DayCalendar;
+        this.dbName = options.dbName || 'FocusRatioDB';
+        this.dbVersion = DB_SCHEMA_VERSION;
         this.db = null;
+        this.initPromise = null;
 
         this.init();
     }
 
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+        // Share a single open request between callers
+        if (this.initPromise) return this.initPromise;
+
+        this.initPromise = new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, this.dbVersion);
 
             request.onerror = () => {
                 console.error('❌ Failed to open database');
+                this.initPromise = null;
                 reject(request.error);
             };
 
+            request.onblocked = () => {
+                console.warn('⚠️ Database upgrade blocked - close other Focus Ratio tabs');
+            };
+
             request.onsuccess = () => {
                 this.db = request.result;
+
+                // Let a newer version in another tab upgrade the schema
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.initPromise = null;
+                    console.warn('⚠️ Database upgraded in another tab - reload to continue');
+                };
+
                 console.log('✅ Database initialized');
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Daily stats store
-                if (!db.objectStoreNames.contains('dailyStats')) {
-                    const dailyStore = db.createObjectStore('dailyStats', { keyPath: 'date' });
-                    dailyStore.createIndex('month', 'month', { unique: false });
-                    dailyStore.createIndex('year', 'year', { unique: false });
-                }
+                this.runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
 
-                // Sessions store
-                if (!db.objectStoreNames.contains('sessions')) {
-                    const sessionsStore = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
-                    sessionsStore.createIndex('date', 'date', { unique: false });
-                    sessionsStore.createIndex('startTime', 'startTime', { unique: false });
-                }
+        return this.initPromise;
+    }
 
-                // Goals store
-                if (!db.objectStoreNames.contains('goals')) {
-                    db.createObjectStore('goals', { keyPath: 'id' });
+    // Apply every migration newer than the stored schema, in order
+    runMigrations(db, transaction, oldVersion) {
+        MIGRATIONS
+            .filter(migration => migration.version > oldVersion)
+            .forEach(migration => {
+                if (migration.upgrade) {
+                    migration.upgrade(db, transaction);
                 }
-
-                console.log('✅ Database schema created');
-            };
-        });
+                Object.entries(migration.records || {}).forEach(([storeName, transform]) => {
+                    updateEachRecord(transaction, storeName, transform);
+                });
+                console.log(`✅ Database migrated to v${migration.version}: ${migration.description}`);
+            });
     }
 
     // Save daily statistics
-    async saveDailyStats(stats) {
-        const date = new Date();
-        const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+    // dayKey defaults to the current local tracking day
+    async saveDailyStats(stats, dayKey = this.calendar.getDayKey()) {
+        // A day corrected by hand stays flagged when the tracker saves it again
+        const existing = await this.get('dailyStats', dayKey);
 
         const dailyData = {
-            date: dateStr,
-            month: date.getMonth() + 1,
-            year: date.getFullYear(),
-            dayOfWeek: date.getDay(),
+            date: dayKey, // YYYY-MM-DD, local tracking day
+            ...this.calendar.getDayParts(dayKey),
             focusTimeMs: stats.focusTime || 0,
             realTimeMs: stats.realTime || 0,
             productivity: stats.productivity || 0,
             sessions: stats.sessions || 0,
+            pomodoros: stats.pomodoros || 0,
             longestStreak: stats.longestStreak || 0,
-            awayTime: stats.awayTime || 0,
+            awayTime: stats.awayTime || 0,           // Camera/activity: left the desk
+            offscreenTime: stats.offscreenTime || 0, // Tracker tab hidden: switched tabs or apps
             moodHistory: stats.moodHistory || [],
+            ...(existing && existing.manuallyEdited ? { manuallyEdited: true } : {}),
             updatedAt: Date.now()
         };
 
@@ -79,11 +249,10 @@ class ProductivityDatabase {
 
     // Get today's stats
     async getTodayStats() {
-        const today = new Date().toISOString().split('T')[0];
-        return this.get('dailyStats', today);
+        return this.get('dailyStats', this.calendar.getDayKey());
     }
 
-    // Get stats for a specific date range
+    // Get stats for a specific date range (inclusive day keys), oldest first
     async getStatsRange(startDate, endDate) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
@@ -93,51 +262,106 @@ class ProductivityDatabase {
 
             const transaction = this.db.transaction(['dailyStats'], 'readonly');
             const store = transaction.objectStore('dailyStats');
-            const results = [];
 
-            const request = store.openCursor();
+            // Keys are YYYY-MM-DD, so the key range already returns them in date order
+            const request = store.getAll(this.keyRange.bound(startDate, endDate));
 
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    if (cursor.value.date >= startDate && cursor.value.date <= endDate) {
-                        results.push(cursor.value);
-                    }
-                    cursor.continue();
-                } else {
-                    resolve(results.sort((a, b) => a.date.localeCompare(b.date)));
-                }
-            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Load several date ranges in a single read.
+    // ranges: { name: { startDate, endDate } } -> { name: { stats, summary } }
+    async getStatsRanges(ranges) {
+        const entries = Object.entries(ranges);
+        if (entries.length === 0) return {};
+
+        const startDate = entries.map(([, range]) => range.startDate).sort()[0];
+        const endDate = entries.map(([, range]) => range.endDate).sort().pop();
+        const stats = await this.getStatsRange(startDate, endDate);
+
+        const results = {};
+        entries.forEach(([name, range]) => {
+            const rangeStats = stats.filter(s => s.date >= range.startDate && s.date <= range.endDate);
+            results[name] = { stats: rangeStats, summary: this.summarizeStats(rangeStats) };
+        });
+        return results;
+    }
+
+    // Get sessions for a date range (inclusive day keys), oldest first
+    async getSessionsRange(startDate, endDate) {
+        return this.getSessionsByIndex('date', this.keyRange.bound(startDate, endDate));
+    }
 
+    // Get sessions that started within [startTime, endTime] (ms timestamps), oldest first
+    async getSessionsBetween(startTime, endTime) {
+        return this.getSessionsByIndex('startTime', this.keyRange.bound(startTime, endTime));
+    }
+
+    async getSessionsByIndex(indexName, range) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const index = transaction.objectStore('sessions').index(indexName);
+            const request = index.getAll(range);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.startTime - b.startTime));
             request.onerror = () => reject(request.error);
         });
     }
 
-    // Get stats for a specific month
-    async getMonthStats(year, month) {
-        const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
+    // Day keys spanning a calendar month
+    getMonthRange(year, month) {
         const lastDay = new Date(year, month, 0).getDate();
-        const endDate = `${year}-${String(month).padStart(2, '0')}-${lastDay}`;
+        const prefix = `${year}-${String(month).padStart(2, '0')}`;
+        return {
+            startDate: `${prefix}-01`,
+            endDate: `${prefix}-${String(lastDay).padStart(2, '0')}`
+        };
+    }
 
+    // Get stats for a specific month
+    async getMonthStats(year, month) {
+        const { startDate, endDate } = this.getMonthRange(year, month);
         return this.getStatsRange(startDate, endDate);
     }
 
     // Get last N days of stats
     async getLastNDays(n) {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - (n - 1));
+        const endDate = this.calendar.getDayKey();
+        const startDate = this.calendar.addDays(endDate, -(n - 1));
 
-        return this.getStatsRange(
-            startDate.toISOString().split('T')[0],
-            endDate.toISOString().split('T')[0]
-        );
+        return this.getStatsRange(startDate, endDate);
     }
 
     // Calculate monthly summary
     async getMonthSummary(year, month) {
-        const stats = await this.getMonthStats(year, month);
+        const summary = this.summarizeStats(await this.getMonthStats(year, month));
+        return summary ? { year, month, ...summary } : null;
+    }
+
+    // Calculate summaries for several months in one read.
+    // months: [{ year, month }] -> same order, null for months without data
+    async getMonthSummaries(months) {
+        const ranges = {};
+        months.forEach(({ year, month }) => {
+            ranges[`${year}-${month}`] = this.getMonthRange(year, month);
+        });
 
+        const results = await this.getStatsRanges(ranges);
+        return months.map(({ year, month }) => {
+            const summary = results[`${year}-${month}`].summary;
+            return summary ? { year, month, ...summary } : null;
+        });
+    }
+
+    // Aggregate a list of daily stats, null when there is nothing to aggregate
+    summarizeStats(stats) {
         if (stats.length === 0) {
             return null;
         }
@@ -147,74 +371,247 @@ class ProductivityDatabase {
         const avgProductivity = stats.reduce((sum, s) => sum + s.productivity, 0) / stats.length;
         const totalSessions = stats.reduce((sum, s) => sum + s.sessions, 0);
         const maxStreak = Math.max(...stats.map(s => s.longestStreak));
-        const daysTracked = stats.length;
 
         return {
-            year,
-            month,
             totalFocusTime,
             totalRealTime,
             avgProductivity: Math.round(avgProductivity * 100) / 100,
             totalSessions,
             maxStreak,
-            daysTracked,
+            daysTracked: stats.length,
             dailyStats: stats
         };
     }
 
     // Get all-time statistics
     async getAllTimeStats() {
+        const stats = await this.getAll('dailyStats');
+        const summary = this.summarizeStats(stats);
+
+        if (!summary) {
+            return null;
+        }
+
+        const { dailyStats, ...totals } = summary;
+        return {
+            ...totals,
+            firstDay: stats[0]?.date,
+            lastDay: stats[stats.length - 1]?.date
+        };
+    }
+
+    // Save a focus session
+    // endReason: how the interval ended ('manual', 'away', 'phone', 'drowsy', 'pomodoro', 'hidden', 'unload',
+    //            'rollover', 'task_switch', 'reset')
+    // pomodoroPhase: phase the interval ran in ('work', 'shortBreak', 'longBreak') or null
+    // project / task: what the time was spent on, or null when untagged
+    async saveSession(session) {
+        const sessionData = {
+            date: this.calendar.getDayKey(new Date(session.startTime)),
+            startTime: session.startTime,
+            endTime: session.endTime,
+            duration: session.duration ?? session.endTime - session.startTime,
+            endReason: session.endReason || 'manual',
+            pomodoroPhase: session.pomodoroPhase || null,
+            project: session.project || null,
+            task: session.task || null,
+            createdAt: Date.now()
+        };
+
+        return this.add('sessions', sessionData);
+    }
+
+    // ==================== Manual Corrections ====================
+
+    // Add or change a session by hand. Manual records carry an audit flag.
+    async saveManualSession(session) {
+        const sessionData = {
+            ...session,
+            date: this.calendar.getDayKey(new Date(session.startTime)),
+            duration: session.endTime - session.startTime,
+            endReason: session.endReason || 'manual_entry',
+            pomodoroPhase: session.pomodoroPhase || null,
+            manual: true,
+            editedAt: Date.now()
+        };
+
+        return session.id !== undefined
+            ? this.put('sessions', sessionData)
+            : this.add('sessions', sessionData);
+    }
+
+    // Focus time, sessions and productivity share per project for a date range.
+    // Share is the project's focus time over the range's real time, so shares add up to productivity.
+    async getProjectBreakdown(startDate, endDate) {
+        const [sessions, stats] = await Promise.all([
+            this.getSessionsRange(startDate, endDate),
+            this.getStatsRange(startDate, endDate)
+        ]);
+        const totalRealTime = stats.reduce((sum, s) => sum + s.realTimeMs, 0);
+        const projects = new Map();
+
+        sessions.forEach(session => {
+            const name = session.project || null;
+            const project = projects.get(name) || { project: name, focusTimeMs: 0, sessions: 0, tasks: new Set() };
+            project.focusTimeMs += session.duration;
+            project.sessions++;
+            if (session.task) project.tasks.add(session.task);
+            projects.set(name, project);
+        });
+
+        return Array.from(projects.values())
+            .map(project => ({
+                ...project,
+                tasks: Array.from(project.tasks),
+                productivity: totalRealTime > 0 ? (project.focusTimeMs / totalRealTime) * 100 : 0
+            }))
+            .sort((a, b) => b.focusTimeMs - a.focusTimeMs);
+    }
+
+    async deleteSession(id) {
+        return this.delete('sessions', id);
+    }
+
+    // Change a day's sessions by hand (change() does the writes) and move the day's
+    // aggregate by what the change added or removed
+    async editDaySessions(dayKey, change) {
+        const before = await this.getSessionsRange(dayKey, dayKey);
+        await change();
+        return this.recomputeDayFromSessions(dayKey, before);
+    }
+
+    // Apply the difference between two versions of a day's sessions to its aggregate and flag
+    // it as manually edited. Days from before sessions were recorded have focus time no session
+    // accounts for, so the total is moved by the difference rather than rebuilt from the sessions.
+    async recomputeDayFromSessions(dayKey, previousSessions) {
+        const sessions = await this.getSessionsRange(dayKey, dayKey);
+        const existing = await this.get('dailyStats', dayKey);
+
+        const { focusTimeMs, sessionCount, longestStreak } = ProductivityDatabase.applySessionChange(
+            existing, previousSessions, sessions);
+        const span = sessions.length > 0
+            ? sessions[sessions.length - 1].endTime - sessions[0].startTime
+            : 0;
+        const realTimeMs = Math.max(existing ? existing.realTimeMs : span, focusTimeMs);
+
+        const dailyData = {
+            ...existing,
+            date: dayKey,
+            ...this.calendar.getDayParts(dayKey),
+            focusTimeMs,
+            realTimeMs,
+            productivity: realTimeMs > 0 ? (focusTimeMs / realTimeMs) * 100 : 0,
+            sessions: sessionCount,
+            longestStreak,
+            awayTime: existing ? existing.awayTime : 0,
+            offscreenTime: existing ? existing.offscreenTime || 0 : 0,
+            moodHistory: existing ? existing.moodHistory : [],
+            manuallyEdited: true,
+            updatedAt: Date.now()
+        };
+
+        await this.put('dailyStats', dailyData);
+        return dailyData;
+    }
+
+    // Day totals after its sessions changed from previous to current: focus time and session count
+    // move by the difference; the longest streak is rebuilt only if the old sessions explained it
+    static applySessionChange(stat, previous, current) {
+        const total = (sessions) => sessions.reduce((sum, s) => sum + s.duration, 0);
+        const longest = (sessions) => Math.max(0, ...sessions.map(s => s.duration));
+
+        if (!stat) {
+            return { focusTimeMs: total(current), sessionCount: current.length, longestStreak: longest(current) };
+        }
+
+        const streakFromSessions = (stat.longestStreak || 0) <= longest(previous);
+        return {
+            focusTimeMs: Math.max(0, stat.focusTimeMs + total(current) - total(previous)),
+            sessionCount: Math.max(0, (stat.sessions || 0) + current.length - previous.length),
+            longestStreak: streakFromSessions
+                ? longest(current)
+                : Math.max(stat.longestStreak, longest(current))
+        };
+    }
+
+    // ==================== Events ====================
+
+    // Record something that happened (e.g. type 'reset') on the tracking day of its timestamp
+    async addEvent(event) {
+        return this.add('events', {
+            ...event,
+            date: this.calendar.getDayKey(new Date(event.timestamp))
+        });
+    }
+
+    // Events for a date range (inclusive day keys), optionally of one type, oldest first
+    async getEventsRange(startDate, endDate, type = null) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
                 reject(new Error('Database not initialized'));
                 return;
             }
 
-            const transaction = this.db.transaction(['dailyStats'], 'readonly');
-            const store = transaction.objectStore('dailyStats');
-            const request = store.getAll();
+            const transaction = this.db.transaction(['events'], 'readonly');
+            const index = transaction.objectStore('events').index('date');
+            const request = index.getAll(this.keyRange.bound(startDate, endDate));
 
-            request.onsuccess = () => {
-                const stats = request.result;
-
-                if (stats.length === 0) {
-                    resolve(null);
-                    return;
-                }
+            request.onsuccess = () => resolve(
+                request.result
+                    .filter(event => !type || event.type === type)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+            );
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-                const totalFocusTime = stats.reduce((sum, s) => sum + s.focusTimeMs, 0);
-                const totalRealTime = stats.reduce((sum, s) => sum + s.realTimeMs, 0);
-                const avgProductivity = stats.reduce((sum, s) => sum + s.productivity, 0) / stats.length;
-                const totalSessions = stats.reduce((sum, s) => sum + s.sessions, 0);
-                const maxStreak = Math.max(...stats.map(s => s.longestStreak));
-
-                resolve({
-                    totalFocusTime,
-                    totalRealTime,
-                    avgProductivity: Math.round(avgProductivity * 100) / 100,
-                    totalSessions,
-                    maxStreak,
-                    daysTracked: stats.length,
-                    firstDay: stats[0]?.date,
-                    lastDay: stats[stats.length - 1]?.date
-                });
-            };
+    async markEventRestored(id) {
+        const event = await this.get('events', id);
+        if (event) {
+            await this.put('events', { ...event, restoredAt: Date.now() });
+        }
+    }
 
-            request.onerror = () => reject(request.error);
+    // ==================== Goals ====================
+
+    // Store a goal definition that applies from effectiveFrom (a day key) onwards.
+    // Saving twice on the same day replaces that day's definition.
+    async saveGoalDefinition(goals, effectiveFrom = this.calendar.getDayKey()) {
+        return this.put('goals', {
+            id: effectiveFrom,
+            effectiveFrom,
+            focusTime: goals.focusTime,
+            pomodoros: goals.pomodoros,
+            productivity: goals.productivity,
+            createdAt: Date.now()
         });
     }
 
-    // Save a focus session
-    async saveSession(session) {
-        const sessionData = {
-            date: new Date().toISOString().split('T')[0],
-            startTime: session.startTime,
-            endTime: session.endTime,
-            duration: session.duration,
-            productivity: session.productivity
-        };
+    // All goal definitions, oldest first
+    async getGoalHistory() {
+        const history = await this.getAll('goals');
+        return history.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    }
 
-        return this.add('sessions', sessionData);
+    // Goal definition that was active on a day, or null before any goal existed
+    getGoalForDate(history, dayKey) {
+        let active = null;
+        for (const goal of history) {
+            if (goal.effectiveFrom > dayKey) break;
+            active = goal;
+        }
+        return active;
+    }
+
+    // Which goals a day's stats met. Pomodoros are null for days recorded before they were tracked.
+    evaluateDay(stat, goal) {
+        const result = {
+            focusTime: stat.focusTimeMs >= goal.focusTime,
+            productivity: stat.productivity >= goal.productivity,
+            pomodoros: typeof stat.pomodoros === 'number' ? stat.pomodoros >= goal.pomodoros : null
+        };
+        result.allMet = result.focusTime && result.productivity && result.pomodoros !== false;
+        return result;
     }
 
     // Generic database operations
@@ -243,7 +640,7 @@ class ProductivityDatabase {
 
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
-            const request = store.put(data);
+            const request = store.put({ ...data, schemaVersion: this.dbVersion });
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
@@ -259,29 +656,189 @@ class ProductivityDatabase {
 
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
-            const request = store.add(data);
+            const request = store.add({ ...data, schemaVersion: this.dbVersion });
 
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    // Export all data as JSON
-    async exportData() {
-        const dailyStats = await new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['dailyStats'], 'readonly');
-            const store = transaction.objectStore('dailyStats');
+    async delete(storeName, key) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(key);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAll(storeName) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
             const request = store.getAll();
+
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+    }
+
+    // ==================== Backup & Restore ====================
+
+    // Export every object store as JSON
+    async exportData() {
+        const stores = {};
+        for (const storeName of Array.from(this.db.objectStoreNames)) {
+            stores[storeName] = await this.getAll(storeName);
+        }
 
         return {
             exportDate: new Date().toISOString(),
-            dailyStats
+            schemaVersion: this.dbVersion,
+            stores
+        };
+    }
+
+    // Days that have data both locally and in a backup, with both sides summarized
+    async findDayConflicts(backupStores) {
+        const localDays = this.summarizeDays(
+            await this.getAll('dailyStats'),
+            await this.getAll('sessions')
+        );
+        const backupDays = this.summarizeDays(
+            backupStores.dailyStats || [],
+            backupStores.sessions || []
+        );
+
+        return Object.keys(backupDays)
+            .filter(date => localDays[date])
+            .sort()
+            .map(date => ({ date, local: localDays[date], backup: backupDays[date] }));
+    }
+
+    summarizeDays(dailyStats, sessions) {
+        const days = {};
+        const dayFor = (date) => days[date] || (days[date] = { focusTimeMs: 0, sessions: 0 });
+
+        dailyStats.forEach(stat => {
+            dayFor(stat.date).focusTimeMs = stat.focusTimeMs || 0;
+        });
+        sessions.forEach(session => {
+            dayFor(session.date).sessions++;
+        });
+
+        return days;
+    }
+
+    // Restore stores from an exportData() snapshot.
+    // mode 'replace' wipes each store first; 'merge' keeps local data and adds what is missing.
+    // resolutions maps conflicting days to 'local' or 'backup' (merge only, default 'local').
+    async importData(backupStores, { mode = 'merge', resolutions = {} } = {}) {
+        const storeNames = Array.from(this.db.objectStoreNames)
+            .filter(name => Array.isArray(backupStores[name]));
+
+        // Snapshot local keys before opening the write transaction
+        const localStats = await this.getAll('dailyStats');
+        const localSessions = await this.getAll('sessions');
+        const localEvents = storeNames.includes('events') ? await this.getAll('events') : [];
+        const makeKeyReader = (storeName) => {
+            const keyPath = this.db.transaction([storeName], 'readonly').objectStore(storeName).keyPath;
+            return (record) => JSON.stringify([].concat(keyPath).map(path => record[path]));
         };
+        const localKeys = {};
+        const recordKeys = {};
+        for (const storeName of storeNames) {
+            recordKeys[storeName] = makeKeyReader(storeName);
+            localKeys[storeName] = new Set((await this.getAll(storeName)).map(recordKeys[storeName]));
+        }
+        const localDates = new Set([
+            ...localStats.map(stat => stat.date),
+            ...localSessions.map(session => session.date)
+        ]);
+        const backupWins = (date) => !localDates.has(date) || resolutions[date] === 'backup';
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            const counts = {};
+
+            storeNames.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                counts[storeName] = 0;
+
+                if (mode === 'replace') {
+                    store.clear();
+                    backupStores[storeName].forEach(record => {
+                        store.put(record);
+                        counts[storeName]++;
+                    });
+                    return;
+                }
+
+                if (storeName === 'dailyStats') {
+                    backupStores.dailyStats
+                        .filter(stat => backupWins(stat.date))
+                        .forEach(stat => {
+                            store.put(stat);
+                            counts.dailyStats++;
+                        });
+                } else if (storeName === 'sessions') {
+                    // A day's sessions come entirely from the side that wins the day
+                    localSessions
+                        .filter(session => localDates.has(session.date) && resolutions[session.date] === 'backup')
+                        .forEach(session => store.delete(session.id));
+
+                    backupStores.sessions
+                        .filter(session => backupWins(session.date))
+                        .forEach(({ id, ...session }) => {
+                            store.add(session);
+                            counts.sessions++;
+                        });
+                } else if (storeName === 'events') {
+                    // Event ids are per device, so a backup's ids may belong to different local events;
+                    // the same event is recognized by its type and time instead
+                    const eventKey = (event) => `${event.type}@${event.timestamp}`;
+                    const known = new Set(localEvents.map(eventKey));
+
+                    backupStores.events
+                        .filter(event => !known.has(eventKey(event)))
+                        .forEach(({ id, ...event }) => {
+                            store.add(event);
+                            counts.events++;
+                        });
+                } else {
+                    backupStores[storeName]
+                        .filter(record => !localKeys[storeName].has(recordKeys[storeName](record)))
+                        .forEach(record => {
+                            store.put(record);
+                            counts[storeName]++;
+                        });
+                }
+            });
+
+            transaction.oncomplete = () => resolve(counts);
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 }
 
-// Export for use
-window.ProductivityDatabase = ProductivityDatabase;
+// Export for use; tests load it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProductivityDatabase, DB_SCHEMA_VERSION, migrateRecords, GOALS_BASELINE_DATE };
+} else {
+    window.ProductivityDatabase = ProductivityDatabase;
+    window.DB_SCHEMA_VERSION = DB_SCHEMA_VERSION;
+    window.migrateRecords = migrateRecords;
+    window.GOALS_BASELINE_DATE = GOALS_BASELINE_DATE;
+}
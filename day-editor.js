@@ -0,0 +1,257 @@
+/**
+ * Day Editor Module
+ * Add, edit or delete focus intervals for any day and rebuild its daily stats
+ */
+
+class DayEditor {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dayKey = null;
+        this.sessions = [];
+        this.resets = [];
+
+        // Callbacks
+        this.onChange = options.onChange || (() => { });
+    }
+
+    async open(dayKey = DayCalendar.getDayKey()) {
+        if (!document.getElementById('dayEditorModal')) {
+            this.createModal();
+        }
+        try {
+            await this.loadDay(dayKey);
+        } catch (error) {
+            this.reportError('Could not load the day', error);
+        }
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'goals-modal day-editor-modal';
+        modal.id = 'dayEditorModal';
+        modal.innerHTML = `
+            <div class="goals-modal-content">
+                <div class="day-editor-header">
+                    <h3>Edit Day</h3>
+                    <input type="date" id="dayEditorDate">
+                </div>
+                <div class="day-editor-summary" id="dayEditorSummary"></div>
+                <div class="day-editor-sessions" id="dayEditorSessions"></div>
+                <div class="day-editor-add">
+                    <input type="time" id="dayEditorNewStart">
+                    <span>→</span>
+                    <input type="time" id="dayEditorNewEnd">
+                    <button class="btn-save" id="dayEditorAdd">Add Interval</button>
+                </div>
+                <p class="day-editor-error" id="dayEditorError"></p>
+                <div class="goals-modal-actions">
+                    <button class="btn-cancel" id="dayEditorClose">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('visible'), 10);
+
+        document.getElementById('dayEditorClose').addEventListener('click', () => this.close());
+        document.getElementById('dayEditorDate').addEventListener('change', (e) => {
+            if (e.target.value) this.open(e.target.value);
+        });
+        document.getElementById('dayEditorAdd').addEventListener('click', () => this.addInterval());
+
+        // Row buttons are re-rendered, so listen on the list
+        document.getElementById('dayEditorSessions').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = Number(button.dataset.id);
+            if (button.dataset.action === 'save') {
+                this.updateInterval(id);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteInterval(id);
+            }
+        });
+    }
+
+    close() {
+        const modal = document.getElementById('dayEditorModal');
+        if (modal) {
+            modal.classList.remove('visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    async loadDay(dayKey) {
+        this.dayKey = dayKey;
+        this.sessions = await this.db.getSessionsRange(dayKey, dayKey);
+        this.resets = await this.db.getEventsRange(dayKey, dayKey, 'reset');
+        const stat = await this.db.get('dailyStats', dayKey);
+
+        document.getElementById('dayEditorDate').value = dayKey;
+        this.setError('');
+        this.renderSummary(stat);
+        this.renderSessions();
+    }
+
+    renderSummary(stat) {
+        const summary = document.getElementById('dayEditorSummary');
+        const isToday = this.dayKey === DayCalendar.getDayKey();
+
+        summary.innerHTML = `
+            <span>${stat ? this.formatDuration(stat.focusTimeMs) : '0m'} focus</span>
+            <span>${stat ? stat.sessions : 0} sessions</span>
+            <span>${stat ? stat.productivity.toFixed(1) : '0.0'}%</span>
+            ${stat && stat.manuallyEdited ? '<span class="day-editor-badge">✏️ Edited</span>' : ''}
+            ${this.resets.map(event => `
+                <span class="day-editor-reset">
+                    ↺ Reset at ${this.toTimeInput(event.timestamp)} (${this.formatDuration(event.snapshot.focusTimeAccumulated)}${event.restoredAt ? ', undone' : ''})
+                </span>
+            `).join('')}
+            ${isToday ? '<p class="day-editor-note">Today is still being tracked - an open tracker tab keeps updating its totals.</p>' : ''}
+        `;
+    }
+
+    renderSessions() {
+        const list = document.getElementById('dayEditorSessions');
+
+        if (this.sessions.length === 0) {
+            list.innerHTML = '<p class="day-editor-empty">No focus intervals recorded</p>';
+            return;
+        }
+
+        list.innerHTML = this.sessions.map(session => `
+            <div class="day-editor-row ${session.manual ? 'manual' : ''}">
+                <input type="time" id="dayEditorStart${session.id}" value="${this.toTimeInput(session.startTime)}">
+                <span>→</span>
+                <input type="time" id="dayEditorEnd${session.id}" value="${this.toTimeInput(session.endTime)}">
+                <span class="day-editor-duration">${this.formatDuration(session.duration)}</span>
+                <span class="day-editor-reason">${session.manual ? '✏️ ' : ''}${this.escape(session.endReason || '')}</span>
+                <button class="day-editor-btn" data-action="save" data-id="${session.id}" title="Save changes">✓</button>
+                <button class="day-editor-btn danger" data-action="delete" data-id="${session.id}" title="Delete interval">✕</button>
+            </div>
+        `).join('');
+    }
+
+    // ==================== Actions ====================
+
+    async addInterval() {
+        const interval = this.readInterval('dayEditorNewStart', 'dayEditorNewEnd');
+        if (!interval) return;
+
+        const saved = await this.commit(() => this.db.saveManualSession(interval));
+        if (saved) {
+            document.getElementById('dayEditorNewStart').value = '';
+            document.getElementById('dayEditorNewEnd').value = '';
+        }
+    }
+
+    async updateInterval(id) {
+        const session = this.sessions.find(s => s.id === id);
+        const interval = this.readInterval(`dayEditorStart${id}`, `dayEditorEnd${id}`, id);
+        if (!session || !interval) return;
+
+        await this.commit(() => this.db.saveManualSession({ ...session, ...interval }));
+    }
+
+    async deleteInterval(id) {
+        if (!confirm('Delete this focus interval?')) return;
+
+        await this.commit(() => this.db.deleteSession(id));
+    }
+
+    // Write the change and move the day's aggregate with it, then refresh the editor and the
+    // dashboard. Resolves to whether it was saved.
+    async commit(change) {
+        try {
+            await this.db.editDaySessions(this.dayKey, change);
+        } catch (error) {
+            this.reportError('Could not save changes', error);
+            return false;
+        }
+
+        try {
+            await this.loadDay(this.dayKey);
+        } catch (error) {
+            this.reportError('Saved, but the day could not be reloaded', error);
+        }
+        this.onChange(this.dayKey);
+        return true;
+    }
+
+    reportError(message, error) {
+        console.error(`${message}:`, error);
+        this.setError(message);
+        showToast(`❌ ${message}`, 'danger');
+    }
+
+    // Validated { startTime, endTime } from two time inputs, or null
+    readInterval(startInputId, endInputId, ignoreId = null) {
+        const start = document.getElementById(startInputId).value;
+        const end = document.getElementById(endInputId).value;
+
+        if (!start || !end) {
+            this.setError('Enter a start and end time');
+            return null;
+        }
+
+        const startTime = this.toTimestamp(start);
+        const endTime = this.toTimestamp(end);
+
+        if (endTime <= startTime) {
+            this.setError('End must be after start');
+            return null;
+        }
+
+        const overlapping = this.sessions.find(s =>
+            s.id !== ignoreId && s.startTime < endTime && s.endTime > startTime
+        );
+        if (overlapping) {
+            this.setError(`Overlaps ${this.toTimeInput(overlapping.startTime)} → ${this.toTimeInput(overlapping.endTime)}`);
+            return null;
+        }
+
+        this.setError('');
+        return { startTime, endTime };
+    }
+
+    setError(message) {
+        const errorEl = document.getElementById('dayEditorError');
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    // ==================== Formatting ====================
+
+    // Times before the "day starts at" hour belong to the next calendar date
+    toTimestamp(timeValue) {
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        const date = DayCalendar.parseDayKey(this.dayKey);
+        if (hours < DayCalendar.getDayStartHour()) {
+            date.setDate(date.getDate() + 1);
+        }
+        date.setHours(hours, minutes, 0, 0);
+        return date.getTime();
+    }
+
+    toTimeInput(timestamp) {
+        const date = new Date(timestamp);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    formatDuration(ms) {
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor((ms % 3600000) / 60000);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        return `${minutes}m`;
+    }
+}
+
+// Export for use
+window.DayEditor = DayEditor;
@@ -0,0 +1,116 @@
+/**
+ * Event Bus Module
+ * Typed publish/subscribe channel the modules report to, so integrations can listen
+ * without reaching into other modules or editing app.js
+ */
+
+// Every event on the bus and the fields its detail always carries
+const EVENT_TYPES = {
+    'focus:start': ['time'],
+    'focus:pause': ['time', 'reason', 'duration'],             // reason as in tracker.pauseFocus()
+    'focus:reset': ['time'],
+    'task:switch': ['task'],                                   // { project, task } or null
+    'day:rollover': ['previousDay', 'day'],
+    'presence:away': ['time'],
+    'presence:return': ['time', 'awayMs'],
+    'presence:replaced': ['time'],                             // A different face took the user's place
+    'interruption:start': ['time', 'faces'],                   // Someone else joined at the desk
+    'interruption:end': ['start', 'duration', 'faces'],        // faces: most seen at once
+    'phone:detected': ['time', 'confidence'],
+    'mood:change': ['mood'],
+    'mood:drowsy': ['time'],
+    'photo:captured': ['photo'],
+    'pomodoro:start': ['phase'],
+    'pomodoro:phase': ['phase', 'previousPhase'],
+    'pomodoro:complete': ['phase', 'count'],                   // count: work sessions completed so far
+    'goal:reached': ['goal', 'target', 'value'],               // goal: 'focusTime', 'pomodoros' or 'productivity'
+    'achievement:unlocked': ['id', 'name', 'icon'],
+    'visibility:hidden': ['time'],
+    'visibility:return': ['hiddenMs', 'pausedFocus'],
+    'settings:change': ['section', 'values', 'external'],
+    'analytics:period': ['period', 'startDate', 'endDate']    // Analytics page loaded a period's data
+};
+
+class EventBus {
+    constructor(options = {}) {
+        this.config = {
+            debug: false,       // Log every event to the console
+            ...options
+        };
+
+        this.types = { ...EVENT_TYPES };
+        this.handlers = new Map();      // Event type (or '*' for all) -> Set of handlers
+    }
+
+    // Integrations can add their own event types next to the built-in ones
+    define(type, fields = []) {
+        if (this.types[type]) {
+            throw new Error(`Event type "${type}" is already defined`);
+        }
+        this.types[type] = fields;
+    }
+
+    // ==================== Subscribing ====================
+
+    // handler(detail, event) - returns a function that unsubscribes again
+    on(type, handler) {
+        this.assertType(type);
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const off = this.on(type, (detail, event) => {
+            off();
+            handler(detail, event);
+        });
+        return off;
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // ==================== Publishing ====================
+
+    emit(type, detail = {}) {
+        this.assertType(type);
+
+        const missing = this.types[type].filter(field => !(field in detail));
+        if (missing.length > 0) {
+            console.warn(`⚠️ Event "${type}" is missing ${missing.join(', ')}`);
+        }
+
+        const event = { type, detail, timestamp: Date.now() };
+        if (this.config.debug) {
+            console.log(`📣 ${type}`, detail);
+        }
+
+        // Copy first so a handler can unsubscribe while the event is delivered
+        const handlers = [...(this.handlers.get(type) || []), ...(this.handlers.get('*') || [])];
+        handlers.forEach(handler => {
+            // One failing listener must not stop the others or the module that emitted
+            try {
+                handler(detail, event);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    }
+
+    assertType(type) {
+        if (type !== '*' && !this.types[type]) {
+            throw new Error(`Unknown event type "${type}"`);
+        }
+    }
+}
+
+// Export for use in main app
+window.EventBus = EventBus;
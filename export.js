@@ -0,0 +1,127 @@
+/**
+ * Data Export Module
+ * Turns sessions and daily stats into CSV or JSON for timesheets and spreadsheets
+ */
+
+class DataExporter {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // granularity: 'session', 'day' or 'week'; format: 'csv' or 'json'
+    async export(startDate, endDate, { granularity = 'day', format = 'csv' } = {}) {
+        const rows = await this.buildRows(startDate, endDate, granularity);
+        const content = format === 'json'
+            ? JSON.stringify({ startDate, endDate, granularity, rows }, null, 2)
+            : this.toCSV(rows);
+        const type = format === 'json' ? 'application/json' : 'text/csv';
+
+        this.download(content, `focus-ratio-${granularity}-${startDate}-to-${endDate}.${format}`, type);
+        return rows.length;
+    }
+
+    async buildRows(startDate, endDate, granularity) {
+        if (granularity === 'session') {
+            const sessions = await this.db.getSessionsRange(startDate, endDate);
+            return sessions.map(session => this.sessionRow(session));
+        }
+
+        const stats = await this.db.getStatsRange(startDate, endDate);
+        return granularity === 'week'
+            ? this.weekRows(stats)
+            : stats.map(stat => this.dayRow(stat));
+    }
+
+    sessionRow(session) {
+        return {
+            date: session.date,
+            start: this.formatDateTime(session.startTime),
+            end: this.formatDateTime(session.endTime),
+            durationMinutes: this.toMinutes(session.duration),
+            endReason: session.endReason || '',
+            pomodoroPhase: session.pomodoroPhase || '',
+            project: session.project || '',
+            task: session.task || '',
+            manual: Boolean(session.manual)
+        };
+    }
+
+    dayRow(stat) {
+        return {
+            date: stat.date,
+            focusMinutes: this.toMinutes(stat.focusTimeMs),
+            realMinutes: this.toMinutes(stat.realTimeMs),
+            productivity: Math.round(stat.productivity * 100) / 100,
+            sessions: stat.sessions,
+            longestStreakMinutes: this.toMinutes(stat.longestStreak),
+            awayMinutes: this.toMinutes(stat.awayTime),
+            offscreenMinutes: this.toMinutes(stat.offscreenTime),
+            manuallyEdited: Boolean(stat.manuallyEdited)
+        };
+    }
+
+    // Weeks start on Monday and are keyed by that Monday's date
+    weekRows(stats) {
+        const weeks = new Map();
+
+        stats.forEach(stat => {
+            const weekStart = DayCalendar.getWeekStart(stat.date);
+            if (!weeks.has(weekStart)) weeks.set(weekStart, []);
+            weeks.get(weekStart).push(stat);
+        });
+
+        return Array.from(weeks.entries()).map(([weekStart, days]) => ({
+            weekStart,
+            daysTracked: days.length,
+            focusMinutes: this.toMinutes(days.reduce((sum, s) => sum + s.focusTimeMs, 0)),
+            realMinutes: this.toMinutes(days.reduce((sum, s) => sum + s.realTimeMs, 0)),
+            avgProductivity: Math.round(days.reduce((sum, s) => sum + s.productivity, 0) / days.length * 100) / 100,
+            sessions: days.reduce((sum, s) => sum + s.sessions, 0),
+            awayMinutes: this.toMinutes(days.reduce((sum, s) => sum + s.awayTime, 0)),
+            offscreenMinutes: this.toMinutes(days.reduce((sum, s) => sum + (s.offscreenTime || 0), 0)),
+            manuallyEditedDays: days.filter(s => s.manuallyEdited).length
+        }));
+    }
+
+    toCSV(rows) {
+        if (rows.length === 0) return '';
+
+        const columns = Object.keys(rows[0]);
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n');
+    }
+
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    toMinutes(ms) {
+        return Math.round((ms || 0) / 60000 * 10) / 10;
+    }
+
+    // Local "YYYY-MM-DD HH:MM:SS"
+    formatDateTime(timestamp) {
+        const date = new Date(timestamp);
+        const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+            .map(v => v.toString().padStart(2, '0'))
+            .join(':');
+        return `${DayCalendar.formatDayKey(date)} ${time}`;
+    }
+}
+
+// Export for use
+window.DataExporter = DataExporter;
@@ -5,7 +5,7 @@
 
 // ==================== DAILY GOALS ====================
 class DailyGoals {
-    constructor() {
+    constructor(options = {}) {
         this.goals = {
             focusTime: 4 * 60 * 60 * 1000,  // 4 hours default
             pomodoros: 8,
@@ -16,6 +16,14 @@ class DailyGoals {
             pomodoros: 0,
             productivity: 0
         };
+
+        // Callbacks
+        this.onEdit = options.onEdit || (() => { });   // Goals are edited in the settings panel
+
+        // Event bus for goal:reached, announced once a day per goal
+        this.events = options.events || null;
+        this.reachedGoals = { day: null, goals: new Set() };
+
         this.init();
     }
 
@@ -23,6 +31,38 @@ class DailyGoals {
         this.loadGoals();
         this.createUI();
         this.startTracking();
+        this.syncGoalHistory();
+    }
+
+    // Goal definitions live in the database with the day they took effect;
+    // localStorage only caches today's goal for a fast start
+    async syncGoalHistory() {
+        if (!window.productivityDB) return;
+
+        try {
+            const history = await window.productivityDB.getGoalHistory();
+
+            if (history.length === 0) {
+                // First run: the existing goal applies to all earlier history
+                await window.productivityDB.saveGoalDefinition(this.goals, GOALS_BASELINE_DATE);
+                return;
+            }
+
+            const active = window.productivityDB.getGoalForDate(history, DayCalendar.getDayKey());
+            if (active) {
+                this.goals = {
+                    focusTime: active.focusTime,
+                    pomodoros: active.pomodoros,
+                    productivity: active.productivity
+                };
+                if (window.settingsStore) {
+                    window.settingsStore.set('goals', DailyGoals.toSettings(this.goals), { notify: false });
+                }
+                this.updateUI();
+            }
+        } catch (error) {
+            console.error('Failed to load goal history:', error);
+        }
     }
 
     createUI() {
@@ -92,7 +132,7 @@ class DailyGoals {
         });
 
         // Bind edit button
-        document.getElementById('editGoalsBtn').addEventListener('click', () => this.showEditModal());
+        document.getElementById('editGoalsBtn').addEventListener('click', () => this.onEdit());
     }
 
     startTracking() {
@@ -136,7 +176,7 @@ class DailyGoals {
         document.getElementById('prodGoalValue').textContent = `${Math.round(this.progress.productivity)}% / ${this.goals.productivity}%`;
 
         // Check for goal completions
-        this.checkAchievements();
+        this.checkGoals();
     }
 
     updateRing(ringId, percent) {
@@ -147,85 +187,59 @@ class DailyGoals {
         }
     }
 
-    checkAchievements() {
-        if (window.achievements) {
-            if (this.progress.focusTime >= this.goals.focusTime) {
-                window.achievements.unlock('focus_master');
-            }
-            if (this.progress.pomodoros >= this.goals.pomodoros) {
-                window.achievements.unlock('pomodoro_champion');
-            }
-            if (this.progress.productivity >= this.goals.productivity) {
-                window.achievements.unlock('productivity_guru');
-            }
+    checkGoals() {
+        const day = DayCalendar.getDayKey();
+        if (this.reachedGoals.day !== day) {
+            this.reachedGoals = { day, goals: new Set() };
         }
+
+        ['focusTime', 'pomodoros', 'productivity'].forEach(goal => {
+            if (!this.reachedGoals.goals.has(goal) && this.progress[goal] >= this.goals[goal]) {
+                this.reachedGoals.goals.add(goal);
+                this.events?.emit('goal:reached', { goal, target: this.goals[goal], value: this.progress[goal] });
+            }
+        });
     }
 
-    showEditModal() {
-        const modal = document.createElement('div');
-        modal.className = 'goals-modal';
-        modal.id = 'goalsModal';
-        modal.innerHTML = `
-            <div class="goals-modal-content">
-                <h3>Edit Daily Goals</h3>
-                <div class="goal-input-group">
-                    <label>Focus Time (hours)</label>
-                    <input type="number" id="goalFocusHours" value="${this.goals.focusTime / (60 * 60 * 1000)}" min="1" max="12">
-                </div>
-                <div class="goal-input-group">
-                    <label>Pomodoros</label>
-                    <input type="number" id="goalPomodoros" value="${this.goals.pomodoros}" min="1" max="20">
-                </div>
-                <div class="goal-input-group">
-                    <label>Productivity Target (%)</label>
-                    <input type="number" id="goalProductivity" value="${this.goals.productivity}" min="10" max="100">
-                </div>
-                <div class="goals-modal-actions">
-                    <button class="btn-cancel" id="cancelGoals">Cancel</button>
-                    <button class="btn-save" id="saveGoals">Save</button>
-                </div>
-            </div>
-        `;
-        document.body.appendChild(modal);
-        setTimeout(() => modal.classList.add('visible'), 10);
+    // Goals saved in the settings panel; new goals apply from today,
+    // past days keep the goal that was active then
+    setGoals(goals, { recordHistory = true } = {}) {
+        this.goals = { ...goals };
 
-        document.getElementById('cancelGoals').addEventListener('click', () => this.closeModal());
-        document.getElementById('saveGoals').addEventListener('click', () => this.saveGoals());
+        if (recordHistory && window.productivityDB) {
+            window.productivityDB.saveGoalDefinition(this.goals)
+                .catch(error => console.error('Failed to save goal history:', error));
+        }
+        this.updateUI();
     }
 
-    closeModal() {
-        const modal = document.getElementById('goalsModal');
-        if (modal) {
-            modal.classList.remove('visible');
-            setTimeout(() => modal.remove(), 300);
+    loadGoals() {
+        if (window.settingsStore) {
+            this.goals = DailyGoals.fromSettings(window.settingsStore.get('goals'));
         }
     }
 
-    saveGoals() {
-        this.goals.focusTime = parseFloat(document.getElementById('goalFocusHours').value) * 60 * 60 * 1000;
-        this.goals.pomodoros = parseInt(document.getElementById('goalPomodoros').value);
-        this.goals.productivity = parseInt(document.getElementById('goalProductivity').value);
-        localStorage.setItem('dailyGoals', JSON.stringify(this.goals));
-        this.closeModal();
-        this.updateUI();
-        showToast('Goals updated!', 'success');
+    // Settings keep goals in hours, the tracker in milliseconds
+    static fromSettings(settings) {
+        return {
+            focusTime: settings.focusHours * 60 * 60 * 1000,
+            pomodoros: settings.pomodoros,
+            productivity: settings.productivity
+        };
     }
 
-    loadGoals() {
-        const saved = localStorage.getItem('dailyGoals');
-        if (saved) {
-            try {
-                this.goals = { ...this.goals, ...JSON.parse(saved) };
-            } catch (e) {
-                console.error('Error loading goals:', e);
-            }
-        }
+    static toSettings(goals) {
+        return {
+            focusHours: goals.focusTime / (60 * 60 * 1000),
+            pomodoros: goals.pomodoros,
+            productivity: goals.productivity
+        };
     }
 }
 
 // ==================== ACHIEVEMENTS ====================
 class Achievements {
-    constructor() {
+    constructor(options = {}) {
         this.badges = {
             first_focus: { name: 'First Focus', icon: '🌟', desc: 'Started your first focus session', unlocked: false },
             hour_warrior: { name: 'Hour Warrior', icon: '⏰', desc: 'Focused for 1 hour straight', unlocked: false },
@@ -238,15 +252,36 @@ class Achievements {
             streak_7: { name: 'Week Warrior', icon: '💪', desc: 'Focused 7 days in a row', unlocked: false },
             perfect_day: { name: 'Perfect Day', icon: '✨', desc: '100% productivity score', unlocked: false }
         };
+
+        // Event bus - badges follow focus, pomodoro and goal events, unlocks are published back
+        this.events = options.events || null;
+
         this.init();
     }
 
     init() {
         this.loadAchievements();
         this.createUI();
+        this.bindEvents();
         this.checkTimeBasedAchievements();
     }
 
+    bindEvents() {
+        if (!this.events) return;
+
+        const goalBadges = {
+            focusTime: 'focus_master',
+            pomodoros: 'pomodoro_champion',
+            productivity: 'productivity_guru'
+        };
+
+        this.events.on('focus:start', () => this.unlock('first_focus'));
+        this.events.on('pomodoro:complete', ({ phase }) => {
+            if (phase === 'work') this.unlock('first_focus');
+        });
+        this.events.on('goal:reached', ({ goal }) => this.unlock(goalBadges[goal]));
+    }
+
     createUI() {
         const achieveSection = document.createElement('section');
         achieveSection.className = 'achievements-section';
@@ -284,6 +319,9 @@ class Achievements {
             this.showUnlockNotification(badgeKey);
             this.updateBadgeUI(badgeKey);
             this.updateCount();
+
+            const { name, icon } = this.badges[badgeKey];
+            this.events?.emit('achievement:unlocked', { id: badgeKey, name, icon });
         }
     }
 
@@ -614,7 +652,13 @@ class AmbientSounds {
 
 // ==================== BREAK REMINDERS ====================
 class BreakReminder {
-    constructor() {
+    constructor(options = {}) {
+        this.config = {
+            enabled: true,
+            reminderInterval: 45 * 60 * 1000,   // 45 minutes
+            snoozeDuration: 10 * 60 * 1000,     // 10 minutes
+            ...options
+        };
         this.stretches = [
             { name: 'Neck Rolls', icon: '🙆', desc: 'Slowly roll your head in circles, 5 times each direction' },
             { name: 'Shoulder Shrugs', icon: '💪', desc: 'Raise shoulders to ears, hold 5 seconds, release' },
@@ -626,7 +670,6 @@ class BreakReminder {
             { name: 'Back Stretch', icon: '🔙', desc: 'Twist your torso left and right, hold each side' }
         ];
         this.lastReminder = Date.now();
-        this.reminderInterval = 45 * 60 * 1000; // 45 minutes
         this.init();
     }
 
@@ -639,13 +682,19 @@ class BreakReminder {
         const timeSinceReminder = now - this.lastReminder;
 
         // Only remind if user is focusing
-        if (window.tracker && window.tracker.state.isFocusing && timeSinceReminder >= this.reminderInterval) {
+        if (this.config.enabled && window.tracker && window.tracker.state.isFocusing
+            && timeSinceReminder >= this.config.reminderInterval) {
             this.showReminder();
             this.lastReminder = now;
         }
     }
 
+    updateConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
     showReminder() {
+        const snoozeMinutes = Math.round(this.config.snoozeDuration / 60000);
         const stretch = this.stretches[Math.floor(Math.random() * this.stretches.length)];
 
         const reminder = document.createElement('div');
@@ -660,7 +709,7 @@ class BreakReminder {
                 </div>
                 <div class="break-actions">
                     <button class="break-dismiss" id="dismissBreak">Got it!</button>
-                    <button class="break-snooze" id="snoozeBreak">Remind in 10 min</button>
+                    <button class="break-snooze" id="snoozeBreak">Remind in ${snoozeMinutes} min</button>
                 </div>
             </div>
         `;
@@ -677,10 +726,10 @@ class BreakReminder {
         });
 
         document.getElementById('snoozeBreak').addEventListener('click', () => {
-            this.lastReminder = Date.now() - (this.reminderInterval - 10 * 60 * 1000);
+            this.lastReminder = Date.now() - (this.config.reminderInterval - this.config.snoozeDuration);
             reminder.classList.remove('visible');
             setTimeout(() => reminder.remove(), 300);
-            showToast('Reminder snoozed for 10 minutes', 'info');
+            showToast(`Reminder snoozed for ${snoozeMinutes} minutes`, 'info');
         });
     }
 
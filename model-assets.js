@@ -0,0 +1,251 @@
+/**
+ * Model Assets Module
+ * Loads detector libraries and model weights from a local folder (vendor/ by default),
+ * checks every file against the SHA-256 hashes vendor/fetch.sh recorded and reports progress.
+ * The libraries are then handed those checked bytes (object URLs, or fetchVerified() for
+ * TensorFlow.js models), so nothing is downloaded twice and nothing unchecked runs.
+ */
+
+const MODEL_ASSET_MANIFEST = 'assets.json';
+
+// What each detector needs: scripts to run, plus folders of files the library fetches itself
+const MODEL_GROUPS = {
+    'face-detection': {
+        name: 'Face model',
+        scripts: ['mediapipe/face_detection/face_detection.js'],
+        folders: ['mediapipe/face_detection/']
+    },
+    'blazeface': {
+        name: 'BlazeFace model',
+        scripts: ['tfjs/tf.min.js', 'blazeface/blazeface.min.js'],
+        folders: ['blazeface/model/']
+    },
+    'phone-detection': {
+        name: 'Phone model',
+        scripts: ['tfjs/tf.min.js', 'coco-ssd/coco-ssd.min.js'],
+        folders: ['coco-ssd/lite_mobilenet_v2/']
+    }
+};
+
+// code: 'missing' (file or manifest not there) or 'corrupt' (hash doesn't match)
+class ModelAssetError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ModelAssetError';
+        this.code = code;
+    }
+}
+
+class ModelAssets {
+    constructor(options = {}) {
+        this.config = {
+            basePath: 'vendor/',       // Folder or URL holding what vendor/fetch.sh downloaded
+            verify: true,              // Check SHA-256 hashes before running anything
+            ...options
+        };
+        this.config.basePath = ModelAssets.normalizeBasePath(this.config.basePath);
+
+        this.manifest = null;          // Promise of { files: { path: { sha256, size } } }
+        this.groups = new Map();       // Group id -> load promise, so each group loads once
+        this.scripts = new Set();      // Scripts already run - groups can share one (TensorFlow.js)
+        this.verified = new Map();     // Path -> object URL of the checked bytes
+        this.warnedUnverified = false;
+    }
+
+    static getMimeType(file) {
+        const types = { js: 'text/javascript', wasm: 'application/wasm', json: 'application/json' };
+        return types[file.split('.').pop()] || 'application/octet-stream';
+    }
+
+    static normalizeBasePath(path) {
+        const trimmed = (path || '').trim() || 'vendor/';
+        return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+    }
+
+    url(path) {
+        return new URL(path, new URL(this.config.basePath, document.baseURI)).href;
+    }
+
+    // ==================== Loading ====================
+
+    // onProgress({ loaded, total, file }) in bytes, across every file of the group
+    load(groupId, { onProgress = () => { } } = {}) {
+        if (!this.groups.has(groupId)) {
+            const loading = this.loadGroup(groupId, onProgress);
+            // A failed load may be retried, e.g. after the files were put in place
+            loading.catch(() => this.groups.delete(groupId));
+            this.groups.set(groupId, loading);
+        }
+        return this.groups.get(groupId);
+    }
+
+    async loadGroup(groupId, onProgress) {
+        const group = MODEL_GROUPS[groupId];
+        const manifest = await this.loadManifest();
+        const files = this.getFiles(groupId, manifest);
+
+        const missing = group.scripts.filter(script => !manifest.files[script]);
+        if (missing.length > 0) {
+            throw new ModelAssetError(`${group.name} not found in ${this.config.basePath} - run vendor/fetch.sh`, 'missing');
+        }
+
+        const total = files.reduce((sum, file) => sum + (manifest.files[file].size || 0), 0);
+        let loaded = 0;
+        onProgress({ loaded, total, file: null });
+
+        for (const file of files) {
+            if (!this.verified.has(file)) {
+                const bytes = await this.fetchFile(file, (received) => {
+                    onProgress({ loaded: loaded + received, total, file });
+                });
+                await this.verify(file, bytes, manifest.files[file].sha256);
+                this.keep(file, bytes);
+            }
+            loaded += manifest.files[file].size || 0;
+        }
+        onProgress({ loaded: total, total, file: null });
+
+        for (const script of group.scripts) {
+            await this.loadScript(this.verifiedUrl(script));
+        }
+        console.log(`✅ ${group.name} files loaded from ${this.config.basePath}`);
+    }
+
+    loadManifest() {
+        if (!this.manifest) {
+            this.manifest = fetch(this.url(MODEL_ASSET_MANIFEST), { cache: 'no-cache' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    this.manifest = null;
+                    console.error('❌ Model manifest unavailable:', error);
+                    throw new ModelAssetError(`No model files in ${this.config.basePath} - run vendor/fetch.sh`, 'missing');
+                });
+        }
+        return this.manifest;
+    }
+
+    getFiles(groupId, manifest) {
+        const group = MODEL_GROUPS[groupId];
+        return Object.keys(manifest.files).filter(file =>
+            group.scripts.includes(file) || group.folders.some(folder => file.startsWith(folder)));
+    }
+
+    async fetchFile(file, onBytes) {
+        let response;
+        try {
+            response = await fetch(this.url(file));
+        } catch (error) {
+            throw new ModelAssetError(`Could not reach ${file}`, 'missing');
+        }
+        if (!response.ok) {
+            throw new ModelAssetError(`${file} is missing (HTTP ${response.status})`, 'missing');
+        }
+
+        // Read in chunks so large weights can report progress
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            received += value.byteLength;
+            onBytes(received);
+        }
+
+        const bytes = new Uint8Array(received);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        return bytes;
+    }
+
+    // ==================== Integrity ====================
+
+    // Throws a ModelAssetError when the bytes don't match the hash vendor/fetch.sh recorded
+    async verify(file, bytes, expected) {
+        if (!this.config.verify) return;
+
+        // crypto.subtle only exists on https:// and localhost
+        if (!window.crypto || !window.crypto.subtle) {
+            this.warnUnverified();
+            return;
+        }
+
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        if (hex !== expected) {
+            throw new ModelAssetError(`${file} failed its integrity check - run vendor/fetch.sh again`, 'corrupt');
+        }
+    }
+
+    // Loading goes on without the check, but not without saying so
+    warnUnverified() {
+        if (this.warnedUnverified) return;
+        this.warnedUnverified = true;
+
+        const message = 'Model files can\'t be verified here - open the tracker over https:// or localhost';
+        console.warn(`⚠️ ${message}`);
+        if (window.showToast) {
+            window.showToast(`⚠️ ${message}`, 'warning');
+        }
+    }
+
+    // ==================== Checked Files ====================
+
+    keep(file, bytes) {
+        const blob = new Blob([bytes], { type: ModelAssets.getMimeType(file) });
+        this.verified.set(file, URL.createObjectURL(blob));
+    }
+
+    // Object URL of a file its group loaded and checked, e.g. for MediaPipe's locateFile()
+    verifiedUrl(path) {
+        const url = this.verified.get(path);
+        if (!url) {
+            throw new ModelAssetError(`${path} wasn't loaded and checked with its model`, 'missing');
+        }
+        return url;
+    }
+
+    // fetch() stand-in for TensorFlow.js (tf.io.http's fetchFunc): model.json names its weight
+    // shards relative to url(), and each is answered from the checked bytes
+    fetchVerified(url) {
+        const base = this.url('');
+        const path = url.startsWith(base) ? decodeURIComponent(url.slice(base.length).split('?')[0]) : url;
+        try {
+            return fetch(this.verifiedUrl(path));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // TensorFlow.js model loader for a vendored model.json, reading only checked files
+    modelHandler(path) {
+        return tf.io.http(this.url(path), { fetchFunc: (url) => this.fetchVerified(url) });
+    }
+
+    loadScript(src) {
+        if (this.scripts.has(src)) return Promise.resolve();
+        this.scripts.add(src);
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                this.scripts.delete(src);
+                reject(new ModelAssetError(`${src} could not be run`, 'corrupt'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Export for use in main app
+window.ModelAssets = ModelAssets;
+window.ModelAssetError = ModelAssetError;
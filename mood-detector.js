@@ -8,9 +8,17 @@ class MoodDetector {
         this.config = {
             updateInterval: 1000,  // Update mood every second
             drowsinessThreshold: 0.3,  // Eye aspect ratio threshold
+            headless: false,           // Replays: track mood without the card, alert or sound
             ...options
         };
 
+        // Anything with now() - replays pass a virtual clock
+        this.clock = options.clock || Date;
+
+        // Where focus and presence numbers come from - the live tracker unless a replay passes its own
+        this.tracker = options.tracker || null;
+        this.presence = options.presence || null;
+
         this.state = {
             currentMood: 'neutral',
             moodHistory: [],
@@ -26,6 +34,9 @@ class MoodDetector {
         this.onMoodChange = options.onMoodChange || (() => { });
         this.onDrowsy = options.onDrowsy || (() => { });
 
+        // Event bus for mood:change and mood:drowsy
+        this.events = options.events || null;
+
         // DOM Elements
         this.elements = {
             moodEmoji: null,
@@ -95,18 +106,29 @@ class MoodDetector {
 
         // Start mood analysis loop
         setInterval(() => {
-            if (window.presenceDetector && window.presenceDetector.state.isPresent) {
+            const presence = this.getPresence();
+            if (presence && presence.state.isPresent) {
                 this.analyzeMood();
             }
         }, this.config.updateInterval);
     }
 
+    getTracker() {
+        return this.tracker || window.tracker || null;
+    }
+
+    getPresence() {
+        return this.presence || window.presenceDetector || null;
+    }
+
     analyzeMood() {
         // Simulate mood detection based on focus patterns
         // In a real implementation, this would use Face Mesh landmarks
 
-        const focusTime = window.tracker ? window.tracker.getFocusTimeMs() : 0;
-        const realTime = window.tracker ? window.tracker.getRealTimeMs() : 1;
+        const tracker = this.getTracker();
+        const presence = this.getPresence();
+        const focusTime = tracker ? tracker.getFocusTimeMs() : 0;
+        const realTime = tracker ? tracker.getRealTimeMs() : 1;
         const productivity = (focusTime / realTime) * 100;
 
         // Determine mood based on productivity and time
@@ -130,8 +152,8 @@ class MoodDetector {
         }
 
         // Check for drowsiness based on away patterns
-        if (window.presenceDetector) {
-            const awayTime = window.presenceDetector.getAwayTime();
+        if (presence) {
+            const awayTime = presence.getAwayTime();
             const awayRatio = awayTime / realTime;
 
             if (awayRatio > 0.3 && realTime > 300000) { // 30% away time after 5 min
@@ -140,12 +162,15 @@ class MoodDetector {
         }
 
         // Update UI
-        this.updateMoodUI(mood, energy);
+        if (!this.config.headless) {
+            this.updateMoodUI(mood, energy);
+        }
 
         // Track mood change
         if (this.state.currentMood !== mood.label) {
             this.state.currentMood = mood.label;
             this.onMoodChange(mood);
+            this.events?.emit('mood:change', { mood });
         }
     }
 
@@ -180,7 +205,7 @@ class MoodDetector {
     triggerDrowsinessWarning() {
         // Check if we're in cooldown period after dismissal
         if (this.state.drowsyDismissedAt) {
-            const timeSinceDismissal = Date.now() - this.state.drowsyDismissedAt;
+            const timeSinceDismissal = this.clock.now() - this.state.drowsyDismissedAt;
             if (timeSinceDismissal < this.state.drowsyCooldown) {
                 return; // Still in cooldown, don't show alert
             }
@@ -188,11 +213,15 @@ class MoodDetector {
 
         if (!this.state.isDrowsy) {
             this.state.isDrowsy = true;
-            this.elements.drowsyAlert.classList.add('visible');
             this.onDrowsy();
+            this.events?.emit('mood:drowsy', { time: this.clock.now() });
+
+            if (!this.config.headless) {
+                this.elements.drowsyAlert.classList.add('visible');
 
-            // Play alert sound (optional)
-            this.playAlertSound();
+                // Play alert sound (optional)
+                this.playAlertSound();
+            }
         }
     }
 
@@ -219,8 +248,10 @@ class MoodDetector {
 
     dismissDrowsyAlert() {
         this.state.isDrowsy = false;
-        this.state.drowsyDismissedAt = Date.now(); // Set cooldown timer
-        this.elements.drowsyAlert.classList.remove('visible');
+        this.state.drowsyDismissedAt = this.clock.now(); // Set cooldown timer
+        if (this.elements.drowsyAlert) {
+            this.elements.drowsyAlert.classList.remove('visible');
+        }
     }
 
     getMood() {
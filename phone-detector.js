@@ -11,14 +11,19 @@ class PhoneDetector {
             confidenceThreshold: 0.5,   // 50% confidence needed
             warningCooldown: 10000,     // 10 seconds between warnings
             enabled: true,
+            headless: false,            // Replays: count violations without the overlay and siren
             ...options
         };
 
+        // Anything with now() - replays pass a virtual clock
+        this.clock = options.clock || Date;
+
         this.state = {
             isInitialized: false,
             isDetecting: false,
             phoneDetected: false,
             lastWarningTime: 0,
+            unavailable: null,          // Why the model couldn't be loaded, if it couldn't
             model: null,
             videoElement: null,
             detectionCount: 0
@@ -27,6 +32,12 @@ class PhoneDetector {
         // Callbacks
         this.onPhoneDetected = options.onPhoneDetected || (() => { });
 
+        // Event bus for phone:detected (photo capture takes its evidence photo from there)
+        this.events = options.events || null;
+
+        // Loads and verifies TensorFlow.js and COCO-SSD from the local model folder
+        this.modelAssets = options.modelAssets || new ModelAssets();
+
         // Audio context for siren
         this.audioContext = null;
         this.sirenInterval = null;
@@ -36,14 +47,7 @@ class PhoneDetector {
         this.state.videoElement = videoElement;
 
         try {
-            // Load COCO-SSD model
-            console.log('📱 Loading phone detection model...');
-
-            // We'll load TensorFlow.js and COCO-SSD dynamically
-            await this.loadScripts();
-
-            this.state.model = await cocoSsd.load();
-            console.log('✅ Phone detection model loaded');
+            await this.loadModel();
 
             this.createWarningUI();
             this.startDetection();
@@ -52,31 +56,24 @@ class PhoneDetector {
             return true;
         } catch (error) {
             console.error('❌ Failed to load phone detection:', error);
+            this.state.unavailable = error.message;
             return false;
         }
     }
 
-    async loadScripts() {
-        // Check if already loaded
-        if (window.cocoSsd) return;
+    async loadModel() {
+        if (this.state.model) return;
 
-        // Load TensorFlow.js
-        if (!window.tf) {
-            await this.loadScript('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@3.18.0/dist/tf.min.js');
-        }
+        // Load COCO-SSD model
+        console.log('📱 Loading phone detection model...');
 
-        // Load COCO-SSD
-        await this.loadScript('https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js');
-    }
+        await this.modelAssets.load('phone-detection');
 
-    loadScript(src) {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
+        this.state.model = await cocoSsd.load({
+            base: 'lite_mobilenet_v2',
+            modelUrl: this.modelAssets.modelHandler('coco-ssd/lite_mobilenet_v2/model.json')
         });
+        console.log('✅ Phone detection model loaded');
     }
 
     createWarningUI() {
@@ -109,6 +106,16 @@ class PhoneDetector {
         this.detectionLoop();
     }
 
+    updateConfig(config) {
+        const wasEnabled = this.config.enabled;
+        this.config = { ...this.config, ...config };
+
+        // The loop stops itself while disabled, so turning it back on restarts it
+        if (!wasEnabled && this.config.enabled && this.state.isDetecting) {
+            this.detectionLoop();
+        }
+    }
+
     async detectionLoop() {
         if (!this.config.enabled || !this.state.isDetecting) return;
 
@@ -116,14 +123,7 @@ class PhoneDetector {
             const video = this.state.videoElement;
 
             if (video && video.readyState >= 2 && this.state.model) {
-                const predictions = await this.state.model.detect(video);
-
-                // Check for phone/cell phone detection
-                const phoneDetection = predictions.find(p =>
-                    (p.class === 'cell phone' || p.class === 'remote') &&
-                    p.score >= this.config.confidenceThreshold
-                );
-
+                const phoneDetection = await this.detectFrame(video);
                 if (phoneDetection) {
                     this.handlePhoneDetected(phoneDetection);
                 }
@@ -136,8 +136,19 @@ class PhoneDetector {
         setTimeout(() => this.detectionLoop(), this.config.detectionInterval);
     }
 
+    // The most likely phone in one frame, or null
+    async detectFrame(video) {
+        const predictions = await this.state.model.detect(video);
+
+        // Check for phone/cell phone detection
+        return predictions.find(p =>
+            (p.class === 'cell phone' || p.class === 'remote') &&
+            p.score >= this.config.confidenceThreshold
+        ) || null;
+    }
+
     handlePhoneDetected(detection) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // Check cooldown
         if (now - this.state.lastWarningTime < this.config.warningCooldown) {
@@ -148,21 +159,19 @@ class PhoneDetector {
         this.state.lastWarningTime = now;
         this.state.detectionCount++;
 
-        console.log('📱🚨 PHONE DETECTED!', detection);
+        if (!this.config.headless) {
+            console.log('📱🚨 PHONE DETECTED!', detection);
 
-        // Show warning
-        this.showWarning();
+            // Show warning
+            this.showWarning();
 
-        // Play siren
-        this.playSiren();
+            // Play siren
+            this.playSiren();
+        }
 
         // Callback
         this.onPhoneDetected(detection);
-
-        // Capture evidence photo
-        if (window.photoCapture) {
-            window.photoCapture.capturePhoto('phone_violation');
-        }
+        this.events?.emit('phone:detected', { time: now, confidence: detection.score });
     }
 
     showWarning() {
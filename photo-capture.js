@@ -20,12 +20,17 @@ class PhotoCapture {
 
         // Callbacks
         this.onPhotoCapture = options.onPhotoCapture || (() => { });
+
+        // Event bus - photos are taken on presence:away and phone:detected
+        this.events = options.events || null;
+        this.awayTimer = null;
     }
 
     init(videoElement) {
         this.state.videoElement = videoElement;
         this.createUI();
         this.loadPhotos();
+        this.bindEvents();
         this.state.isInitialized = true;
         console.log('✅ Photo capture initialized');
     }
@@ -82,6 +87,22 @@ class PhotoCapture {
         };
     }
 
+    bindEvents() {
+        if (!this.events) return;
+
+        // Capture once the user has been gone a moment, unless they came straight back
+        if (this.config.captureOnAway) {
+            this.events.on('presence:away', () => {
+                clearTimeout(this.awayTimer);
+                this.awayTimer = setTimeout(() => this.capturePhoto('away'), this.config.captureDelay);
+            });
+            this.events.on('presence:return', () => clearTimeout(this.awayTimer));
+        }
+
+        // Evidence photo
+        this.events.on('phone:detected', () => this.capturePhoto('phone_violation'));
+    }
+
     capturePhoto(reason = 'away') {
         if (!this.state.videoElement) {
             console.warn('No video element available for capture');
@@ -148,6 +169,7 @@ class PhotoCapture {
 
         // Callback
         this.onPhotoCapture(photo);
+        this.events?.emit('photo:captured', { photo });
 
         console.log('📸 Photo captured:', reason);
 
@@ -189,7 +211,7 @@ class PhotoCapture {
     savePhotos() {
         try {
             // Only save metadata, not full images (to save space)
-            const today = new Date().toDateString();
+            const today = DayCalendar.getDayKey();
             const savedPhotos = this.state.photos.slice(0, 5); // Keep only last 5 in storage
             localStorage.setItem('focusRatioPhotos', JSON.stringify({
                 date: today,
@@ -205,7 +227,7 @@ class PhotoCapture {
             const saved = localStorage.getItem('focusRatioPhotos');
             if (saved) {
                 const data = JSON.parse(saved);
-                if (data.date === new Date().toDateString()) {
+                if (data.date === DayCalendar.getDayKey()) {
                     this.state.photos = data.photos || [];
                     this.updateGalleryUI();
                 }
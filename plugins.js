@@ -0,0 +1,251 @@
+/**
+ * Plugins Module
+ * Lets widgets that live outside the app's own files listen to the event bus, keep their
+ * own storage and settings, and render a card on the main or analytics page.
+ *
+ * A plugin is a plain object passed to registerPlugin() from its own script, loaded after
+ * plugins.js on index.html and/or analytics.html:
+ *
+ *   registerPlugin({
+ *       id: 'ticket-timer',             // Lowercase letters, digits and dashes; unique
+ *       name: 'Ticket Timer',
+ *       icon: '🎫',
+ *       pages: ['main'],                // 'main' and/or 'analytics' (default: main only)
+ *       settings: [                     // Optional section in the settings panel,
+ *           { key: 'ticket', label: 'Current Ticket', type: 'text', default: '' }
+ *       ],                              // fields as in SETTINGS_SCHEMA (settings.js)
+ *       setup(context) { ... }
+ *   });
+ *
+ * setup() gets a context scoped to the plugin:
+ *   context.events     on/once/off for any bus event (see EVENT_TYPES in event-bus.js);
+ *                      define(name, fields) and emit(name, detail) for the plugin's own
+ *                      '<id>:<name>' events
+ *   context.storage    get(key, fallback), set, remove, keys and clear in the plugin's own
+ *                      localStorage area
+ *   context.settings   get() the plugin's settings, onChange(handler) when they are saved
+ *   context.addCard({ title, icon, render(body) })
+ *                      card in the page's plugin slot; returns { element, body, setTitle, remove }
+ *   context.page       'main' or 'analytics'
+ *   context.db         the ProductivityDatabase, read-only by convention
+ *   context.toast(message, type)
+ */
+
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Plugins whose script ran before the host existed wait here
+const pendingPlugins = [];
+
+function registerPlugin(plugin) {
+    if (window.pluginHost) {
+        return window.pluginHost.register(plugin);
+    }
+    pendingPlugins.push(plugin);
+    return null;
+}
+
+class PluginHost {
+    constructor(options = {}) {
+        this.config = {
+            page: 'main',                        // 'main' or 'analytics'
+            storagePrefix: 'focusRatioPlugin:',
+            ...options
+        };
+
+        this.events = options.events || null;
+        this.settingsStore = options.settingsStore || null;
+        this.db = options.db || null;
+
+        this.plugins = new Map();     // Plugin id -> { plugin, context }
+    }
+
+    // Take over the plugins that registered before the host existed
+    init() {
+        pendingPlugins.splice(0).forEach(plugin => this.register(plugin));
+    }
+
+    // ==================== Registration ====================
+
+    register(plugin) {
+        try {
+            this.validate(plugin);
+        } catch (error) {
+            console.error(`❌ Plugin rejected: ${error.message}`);
+            return null;
+        }
+
+        // Settings are registered on every page so the settings panel can show them
+        if (plugin.settings && this.settingsStore) {
+            this.settingsStore.addSection({
+                id: this.getSectionId(plugin),
+                title: plugin.name,
+                icon: plugin.icon || '🧩',
+                fields: plugin.settings
+            });
+        }
+
+        const pages = plugin.pages || ['main'];
+        if (!pages.includes(this.config.page)) return null;
+
+        const context = this.createContext(plugin);
+        this.plugins.set(plugin.id, { plugin, context });
+
+        // A broken plugin must not take the app down with it
+        try {
+            plugin.setup(context);
+            console.log(`🧩 Plugin loaded: ${plugin.name}`);
+        } catch (error) {
+            console.error(`❌ Plugin "${plugin.id}" failed to start:`, error);
+        }
+        return context;
+    }
+
+    // Throws an Error naming what is wrong with the plugin definition
+    validate(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('plugin must be an object');
+        }
+        if (!PLUGIN_ID_PATTERN.test(plugin.id || '')) {
+            throw new Error(`invalid id "${plugin.id}" (use lowercase letters, digits and dashes)`);
+        }
+        if (this.plugins.has(plugin.id)) {
+            throw new Error(`"${plugin.id}" is already registered`);
+        }
+        if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+            throw new Error(`"${plugin.id}" needs a name`);
+        }
+        if (typeof plugin.setup !== 'function') {
+            throw new Error(`"${plugin.id}" needs a setup(context) function`);
+        }
+        if (plugin.settings && !Array.isArray(plugin.settings)) {
+            throw new Error(`"${plugin.id}" settings must be a list of fields`);
+        }
+    }
+
+    getSectionId(plugin) {
+        return `plugin:${plugin.id}`;
+    }
+
+    // ==================== Context ====================
+
+    createContext(plugin) {
+        return {
+            id: plugin.id,
+            page: this.config.page,
+            db: this.db,
+            events: this.createEvents(plugin),
+            storage: this.createStorage(plugin),
+            settings: this.createSettings(plugin),
+            addCard: (card) => this.addCard(plugin, card),
+            toast: (message, type = 'info') => {
+                if (typeof showToast === 'function') {
+                    showToast(message, type);
+                } else {
+                    console.log(`🧩 ${plugin.name}: ${message}`);
+                }
+            }
+        };
+    }
+
+    // Any event can be heard; a plugin only publishes under its own id
+    createEvents(plugin) {
+        const bus = this.events;
+        const ownType = (name) => `${plugin.id}:${name}`;
+
+        return {
+            on: (type, handler) => bus.on(type, handler),
+            once: (type, handler) => bus.once(type, handler),
+            off: (type, handler) => bus.off(type, handler),
+            define: (name, fields) => bus.define(ownType(name), fields),
+            emit: (name, detail) => bus.emit(ownType(name), detail)
+        };
+    }
+
+    // Values are stored as JSON under the plugin's own key prefix
+    createStorage(plugin) {
+        const prefix = `${this.config.storagePrefix}${plugin.id}:`;
+        const keys = () => Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+
+        return {
+            get: (key, fallback = null) => {
+                const value = localStorage.getItem(prefix + key);
+                if (value === null) return fallback;
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    return fallback;
+                }
+            },
+            set: (key, value) => localStorage.setItem(prefix + key, JSON.stringify(value)),
+            remove: (key) => localStorage.removeItem(prefix + key),
+            keys,
+            clear: () => keys().forEach(key => localStorage.removeItem(prefix + key))
+        };
+    }
+
+    createSettings(plugin) {
+        const sectionId = this.getSectionId(plugin);
+        const hasSection = () => Boolean(plugin.settings && this.settingsStore);
+
+        return {
+            get: () => hasSection() ? this.settingsStore.get(sectionId) : {},
+            onChange: (handler) => this.events.on('settings:change', ({ section, values }) => {
+                if (section === sectionId) handler(values);
+            })
+        };
+    }
+
+    // ==================== Cards ====================
+
+    addCard(plugin, { title = plugin.name, icon = plugin.icon || '🧩', render = null } = {}) {
+        const slot = document.getElementById('pluginSlot');
+        if (!slot) {
+            console.warn(`⚠️ No plugin slot on this page for "${plugin.id}"`);
+            return null;
+        }
+
+        // Analytics cards match the chart cards around them
+        const onAnalytics = this.config.page === 'analytics';
+        const card = document.createElement('div');
+        card.className = onAnalytics ? 'chart-card plugin-card' : 'plugin-card';
+        card.dataset.plugin = plugin.id;
+        card.innerHTML = `
+            <div class="${onAnalytics ? 'chart-header' : 'plugin-card-header'}">
+                <h3><span class="plugin-card-icon"></span> <span class="plugin-card-title"></span></h3>
+            </div>
+            <div class="plugin-card-body"></div>
+        `;
+        slot.appendChild(card);
+        slot.hidden = false;
+
+        const handle = {
+            element: card,
+            body: card.querySelector('.plugin-card-body'),
+            setTitle: (text) => {
+                card.querySelector('.plugin-card-title').textContent = text;
+            },
+            remove: () => {
+                card.remove();
+                slot.hidden = slot.children.length === 0;
+            }
+        };
+        card.querySelector('.plugin-card-icon').textContent = icon;
+        handle.setTitle(title);
+
+        if (render) {
+            try {
+                render(handle.body);
+            } catch (error) {
+                console.error(`❌ Plugin "${plugin.id}" failed to render its card:`, error);
+                handle.body.textContent = 'This widget failed to load';
+            }
+        }
+        return handle;
+    }
+}
+
+// Export for use in main app and plugin scripts
+window.PluginHost = PluginHost;
+window.registerPlugin = registerPlugin;
@@ -4,6 +4,11 @@
  */
 
 class PomodoroTimer {
+    // options.isLeader: false when another tab runs the countdown and this one mirrors it
+    // options.headless: no page - skips the card, sounds, toasts and the tick timer so the
+    //   caller drives tick() itself
+    // options.storage, options.calendar, options.modules: localStorage, DayCalendar and window
+    //   by default - tests under Node pass their own
     constructor(options = {}) {
         this.config = {
             workDuration: 25 * 60 * 1000,    // 25 minutes in ms
@@ -15,6 +20,9 @@ class PomodoroTimer {
             ...options
         };
 
+        // Only the leader tab counts down, completes phases and persists the countdown
+        this.isLeader = options.isLeader !== false;
+
         this.state = {
             isRunning: false,
             isPaused: false,
@@ -26,18 +34,40 @@ class PomodoroTimer {
             pausedTime: null
         };
 
+        // Anything with now() - tests step a fake one through a countdown
+        this.clock = options.clock || Date;
+        this.headless = options.headless === true;
+        this.storage = options.storage || localStorage;
+        this.calendar = options.calendar || DayCalendar;
+
+        // Sounds and tab sync are looked up when needed, like the tracker does
+        this.modules = options.modules || window;
+
         this.elements = {};
         this.timerInterval = null;
+        this.lastSavedAt = 0;
+
+        // Countdown that was running when the page closed
+        this.interrupted = null;
+
+        // Event bus for phase changes; the focus tracker listens to start and stop with work sessions
+        this.events = options.events || null;
 
         // Callbacks
         this.onPhaseComplete = options.onPhaseComplete || (() => {});
         this.onTick = options.onTick || (() => {});
         this.onPomodoroComplete = options.onPomodoroComplete || (() => {});
+        this.onStateChange = options.onStateChange || (() => {});   // Leader: countdown saved, followers need it
     }
 
     init() {
-        this.createUI();
+        if (!this.headless) {
+            this.createUI();
+        }
         this.loadState();
+        this.events?.on('day:rollover', () => this.resetForNewDay());
+        if (this.headless) return;
+
         this.bindEvents();
         this.updateDisplay();
         console.log('Pomodoro timer initialized');
@@ -165,9 +195,14 @@ class PomodoroTimer {
                 this.setPhase(phase);
             });
         });
+
+        // Remember where the countdown was when the page closes
+        window.addEventListener('beforeunload', () => this.saveState());
     }
 
     toggleTimer() {
+        if (this.forwardToLeader('toggle')) return;
+
         if (this.state.isRunning) {
             this.pause();
         } else {
@@ -176,27 +211,27 @@ class PomodoroTimer {
     }
 
     start() {
+        if (this.forwardToLeader('start')) return;
         if (this.state.isRunning) return;
 
         this.state.isRunning = true;
         this.state.isPaused = false;
-        this.state.startTime = Date.now();
+        this.state.startTime = this.clock.now();
 
-        // Start focus timer too if in work phase
-        if (this.state.currentPhase === 'work' && window.tracker && !window.tracker.state.isFocusing) {
-            window.tracker.startFocus();
-        }
+        this.events?.emit('pomodoro:start', { phase: this.state.currentPhase });
 
-        this.timerInterval = setInterval(() => this.tick(), 100);
+        this.startTicking();
         this.updateButtonState();
+        this.saveState();
 
         // Play start sound
-        if (window.sounds) {
-            window.sounds.playStart();
+        if (this.modules.sounds) {
+            this.modules.sounds.playStart();
         }
     }
 
     pause() {
+        if (this.forwardToLeader('pause')) return;
         if (!this.state.isRunning) return;
 
         this.state.isRunning = false;
@@ -207,37 +242,72 @@ class PomodoroTimer {
         this.timerInterval = null;
 
         this.updateButtonState();
+        this.saveState();
 
         // Play pause sound
-        if (window.sounds) {
-            window.sounds.playPause();
+        if (this.modules.sounds) {
+            this.modules.sounds.playPause();
         }
     }
 
     reset() {
+        if (this.forwardToLeader('reset')) return;
+
         this.pause();
         const duration = this.getDurationForPhase(this.state.currentPhase);
         this.state.timeRemaining = duration;
         this.state.startTime = null;
         this.state.pausedTime = null;
         this.updateDisplay();
+        this.saveState();
     }
 
     skip() {
+        if (this.forwardToLeader('skip')) return;
+
         this.completePhase();
     }
 
+    // Headless, the caller drives tick() itself
+    startTicking() {
+        if (!this.headless) {
+            this.timerInterval = setInterval(() => this.tick(), 100);
+        }
+    }
+
+    // Auto-start the next phase a moment after the last one ended; headless there is no moment
+    startSoon() {
+        if (this.headless) {
+            this.start();
+        } else {
+            setTimeout(() => this.start(), 1000);
+        }
+    }
+
+    // Toasts belong to the page, so a headless timer stays quiet
+    notify(message, type) {
+        if (!this.headless) {
+            showToast(message, type);
+        }
+    }
+
     tick() {
         if (!this.state.isRunning) return;
 
-        const elapsed = Date.now() - this.state.startTime;
+        const elapsed = this.clock.now() - this.state.startTime;
         const startDuration = this.state.pausedTime || this.getDurationForPhase(this.state.currentPhase);
         this.state.timeRemaining = Math.max(0, startDuration - elapsed);
 
         this.updateDisplay();
         this.onTick(this.state);
 
-        if (this.state.timeRemaining <= 0) {
+        // Heartbeat so a crash loses at most a few seconds of the countdown
+        if (this.clock.now() - this.lastSavedAt >= 5000) {
+            this.saveState();
+        }
+
+        // A follower's mirrored countdown waits for the leader to complete the phase
+        if (this.state.timeRemaining <= 0 && this.isLeader) {
             this.completePhase();
         }
     }
@@ -257,10 +327,12 @@ class PomodoroTimer {
             this.state.totalPomodorosToday++;
             this.saveState();
 
+            // Listeners close the focus interval that belonged to this pomodoro
+            this.events?.emit('pomodoro:complete', { phase: completedPhase, count: this.state.completedPomodoros });
             this.onPomodoroComplete(this.state.completedPomodoros);
 
             // Show achievement toast
-            showToast(`🍅 Pomodoro #${this.state.completedPomodoros} complete! Time for a break.`, 'success');
+            this.notify(`🍅 Pomodoro #${this.state.completedPomodoros} complete! Time for a break.`, 'success');
 
             // Determine next break type
             if (this.state.completedPomodoros % this.config.longBreakInterval === 0) {
@@ -270,15 +342,16 @@ class PomodoroTimer {
             }
 
             if (this.config.autoStartBreaks) {
-                setTimeout(() => this.start(), 1000);
+                this.startSoon();
             }
         } else {
             // Break completed
-            showToast('Break time over! Ready to focus? 🎯', 'info');
+            this.events?.emit('pomodoro:complete', { phase: completedPhase, count: this.state.completedPomodoros });
+            this.notify('Break time over! Ready to focus? 🎯', 'info');
             this.setPhase('work');
 
             if (this.config.autoStartWork) {
-                setTimeout(() => this.start(), 1000);
+                this.startSoon();
             }
         }
 
@@ -287,12 +360,25 @@ class PomodoroTimer {
     }
 
     setPhase(phase) {
+        if (this.forwardToLeader('setPhase', { phase })) return;
+
+        const previousPhase = this.state.currentPhase;
         this.pause();
         this.state.currentPhase = phase;
         this.state.timeRemaining = this.getDurationForPhase(phase);
         this.state.startTime = null;
         this.state.pausedTime = null;
 
+        this.renderPhase(phase);
+        this.updateDisplay();
+        this.saveState();
+
+        this.events?.emit('pomodoro:phase', { phase, previousPhase });
+    }
+
+    renderPhase(phase) {
+        if (this.headless) return;
+
         // Update phase buttons
         document.querySelectorAll('.phase-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.phase === phase);
@@ -310,8 +396,100 @@ class PomodoroTimer {
         const card = document.querySelector('.pomodoro-card');
         card.classList.remove('work', 'break');
         card.classList.add(phase === 'work' ? 'work' : 'break');
+    }
+
+    // ==================== Tab Sync ====================
+
+    // Followers hand button presses and shortcuts to the leader tab instead of running them
+    forwardToLeader(action, data = {}) {
+        if (this.isLeader || !this.modules.tabSync) return false;
+
+        this.modules.tabSync.sendCommand('pomodoro', { pomodoroAction: action, ...data });
+        return true;
+    }
 
+    // Leader: run an action a follower tab asked for
+    handleSyncCommand(command) {
+        switch (command.pomodoroAction) {
+            case 'toggle':
+                this.toggleTimer();
+                break;
+            case 'start':
+                this.start();
+                break;
+            case 'pause':
+                this.pause();
+                break;
+            case 'reset':
+                this.reset();
+                break;
+            case 'skip':
+                this.skip();
+                break;
+            case 'setPhase':
+                this.setPhase(command.phase);
+                break;
+        }
+    }
+
+    // Published with the tracker's state; phaseEndsAt is absolute so every tab counts down alike
+    getSyncState() {
+        return {
+            currentPhase: this.state.currentPhase,
+            timeRemaining: this.state.timeRemaining,
+            isRunning: this.state.isRunning,
+            isPaused: this.state.isPaused,
+            phaseEndsAt: this.state.isRunning ? this.clock.now() + this.state.timeRemaining : null,
+            completedPomodoros: this.state.completedPomodoros,
+            totalPomodorosToday: this.state.totalPomodorosToday
+        };
+    }
+
+    // Follower: mirror the leader's countdown, ticking locally between updates
+    applySyncedState(synced) {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+
+        this.state.currentPhase = synced.currentPhase;
+        this.state.isRunning = synced.isRunning;
+        this.state.isPaused = synced.isPaused;
+        this.state.completedPomodoros = synced.completedPomodoros;
+        this.state.totalPomodorosToday = synced.totalPomodorosToday;
+
+        if (synced.isRunning) {
+            this.state.startTime = this.clock.now();
+            this.state.pausedTime = Math.max(0, synced.phaseEndsAt - this.clock.now());
+            this.state.timeRemaining = this.state.pausedTime;
+            this.startTicking();
+        } else {
+            this.state.startTime = null;
+            this.state.pausedTime = synced.isPaused ? synced.timeRemaining : null;
+            this.state.timeRemaining = synced.timeRemaining;
+        }
+
+        this.renderPhase(synced.currentPhase);
         this.updateDisplay();
+        this.updateButtonState();
+        this.updateStats();
+    }
+
+    // Follower took over from a closed leader tab; a mirrored countdown keeps running
+    becomeLeader() {
+        this.isLeader = true;
+        this.saveState();
+    }
+
+    // New durations apply from the next phase; a countdown that hasn't started takes them right away
+    updateConfig(config) {
+        const untouched = !this.state.isRunning && !this.state.isPaused
+            && this.state.timeRemaining === this.getDurationForPhase(this.state.currentPhase);
+
+        this.config = { ...this.config, ...config };
+        if (untouched) {
+            this.state.timeRemaining = this.getDurationForPhase(this.state.currentPhase);
+            this.updateDisplay();
+            this.saveState();
+        }
     }
 
     getDurationForPhase(phase) {
@@ -324,6 +502,8 @@ class PomodoroTimer {
     }
 
     updateDisplay() {
+        if (this.headless) return;
+
         // Update time display
         const minutes = Math.floor(this.state.timeRemaining / 60000);
         const seconds = Math.floor((this.state.timeRemaining % 60000) / 1000);
@@ -340,6 +520,8 @@ class PomodoroTimer {
     }
 
     updateButtonState() {
+        if (this.headless) return;
+
         if (this.state.isRunning) {
             this.elements.icon.textContent = '⏸';
             this.elements.btnText.textContent = 'Pause';
@@ -352,6 +534,8 @@ class PomodoroTimer {
     }
 
     updateStats() {
+        if (this.headless) return;
+
         this.elements.todayPomodoros.textContent = this.state.totalPomodorosToday;
 
         const totalMinutes = this.state.totalPomodorosToday * 25;
@@ -363,6 +547,8 @@ class PomodoroTimer {
     }
 
     playCompletionSound() {
+        if (this.headless) return;
+
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             const notes = this.state.currentPhase === 'work'
@@ -391,24 +577,45 @@ class PomodoroTimer {
     }
 
     saveState() {
+        // The leader's countdown is the one that is kept
+        if (!this.isLeader) return;
+
+        const now = this.clock.now();
         const stateToSave = {
             totalPomodorosToday: this.state.totalPomodorosToday,
             completedPomodoros: this.state.completedPomodoros,
-            date: new Date().toDateString()
+            date: this.calendar.getDayKey(new Date(now)),
+            currentPhase: this.state.currentPhase,
+            timeRemaining: this.state.timeRemaining,
+            isRunning: this.state.isRunning,
+            phaseEndsAt: this.state.isRunning ? now + this.state.timeRemaining : null,
+            savedAt: now
         };
-        localStorage.setItem('pomodoroState', JSON.stringify(stateToSave));
+        this.storage.setItem('pomodoroState', JSON.stringify(stateToSave));
+        this.lastSavedAt = now;
+        this.onStateChange();
+    }
+
+    // Today's count restarts at the day boundary; a running pomodoro carries on
+    resetForNewDay() {
+        this.state.totalPomodorosToday = 0;
+        this.saveState();
+        this.updateStats();
     }
 
     loadState() {
-        const saved = localStorage.getItem('pomodoroState');
+        // Followers wait for the leader's state instead
+        if (!this.isLeader) return;
+
+        const saved = this.storage.getItem('pomodoroState');
         if (saved) {
             try {
                 const parsed = JSON.parse(saved);
-                const today = new Date().toDateString();
 
-                if (parsed.date === today) {
+                if (parsed.date === this.calendar.getDayKey(new Date(this.clock.now()))) {
                     this.state.totalPomodorosToday = parsed.totalPomodorosToday || 0;
                     this.state.completedPomodoros = parsed.completedPomodoros || 0;
+                    this.restoreCountdown(parsed);
                 }
             } catch (e) {
                 console.error('Error loading pomodoro state:', e);
@@ -416,7 +623,48 @@ class PomodoroTimer {
         }
         this.updateStats();
     }
+
+    // Put the countdown back where it was; a running one stays paused until resumeInterrupted()
+    restoreCountdown(saved) {
+        if (!saved.currentPhase) return;
+
+        this.setPhase(saved.currentPhase);
+        if (saved.timeRemaining > 0 && saved.timeRemaining < this.getDurationForPhase(saved.currentPhase)) {
+            this.state.timeRemaining = saved.timeRemaining;
+            this.state.pausedTime = saved.timeRemaining;
+            this.state.isPaused = true;
+        }
+        if (saved.isRunning && saved.phaseEndsAt) {
+            this.interrupted = { phaseEndsAt: saved.phaseEndsAt, closedAt: saved.savedAt };
+        }
+
+        this.updateDisplay();
+        this.saveState();
+    }
+
+    // countClosed: let the countdown run on through the time the page was closed
+    resumeInterrupted(countClosed) {
+        const interrupted = this.interrupted;
+        if (!interrupted || this.state.isRunning) return;
+        this.interrupted = null;
+
+        const remaining = countClosed ? interrupted.phaseEndsAt - this.clock.now() : this.state.timeRemaining;
+
+        if (remaining <= 0) {
+            // The phase ran out while the page was closed
+            this.completePhase();
+            return;
+        }
+
+        this.state.timeRemaining = remaining;
+        this.state.pausedTime = remaining;
+        this.start();
+    }
 }
 
-// Export for use in main app
-window.PomodoroTimer = PomodoroTimer;
+// Export for use in main app; tests load it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PomodoroTimer };
+} else {
+    window.PomodoroTimer = PomodoroTimer;
+}
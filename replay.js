@@ -0,0 +1,534 @@
+/**
+ * Replay Module
+ * Debug mode that feeds the presence, phone and mood detectors from a recorded video or a
+ * scripted timeline on a virtual clock, so a workday replays in seconds and its away time,
+ * pauses and violations can be compared across settings. Nothing reaches the day's stats.
+ *
+ * Timeline files are JSON, each step holding until a later one changes it:
+ *   {
+ *       "name": "Tuesday",
+ *       "frameInterval": 500,          // Recorded ms per analyzed frame (default 500)
+ *       "duration": "8:00:00",         // Optional - defaults to the last step
+ *       "steps": [
+ *           { "at": "0:00:00", "faces": 1, "input": true },
+ *           { "at": "1:12:30", "faces": 0, "input": false },
+ *           { "at": "1:20:00", "faces": 1, "phone": 0.8 },
+ *           { "at": "1:20:10", "phone": 0 }
+ *       ]
+ *   }
+ * "at" and "duration" are milliseconds or "h:mm:ss". faces: faces on camera, phone: score of
+ * a phone on camera (0 = none), input: keyboard/mouse in use.
+ */
+
+const REPLAY_STORAGE_KEY = 'focusRatioReplays';
+const REPLAY_HISTORY_LIMIT = 20;
+
+// ==================== VIRTUAL CLOCK ====================
+
+// Stands in for Date in the detectors, so recorded time passes as fast as frames are fed
+class VirtualClock {
+    constructor(start = Date.now()) {
+        this.time = start;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
+
+// ==================== REPLAY RUNNER ====================
+
+class ReplayRunner {
+    constructor(options = {}) {
+        this.config = {
+            presence: {},               // PresenceDetector options, as the live app builds them
+            phone: {},                  // PhoneDetector options
+            videoFrameInterval: 1000,   // Recorded ms between analyzed video frames
+            moodInterval: 2000,         // How often mood is analyzed, as in the live app
+            ...options
+        };
+
+        this.modelAssets = options.modelAssets || null;
+
+        // Callbacks
+        this.onProgress = options.onProgress || (() => { });    // (fraction, label)
+    }
+
+    // ==================== Timelines ====================
+
+    // Milliseconds from a number or "h:mm:ss"
+    static parseTime(value) {
+        if (typeof value === 'number' && value >= 0) return value;
+        if (typeof value === 'string' && /^\d+(:\d{1,2}){0,2}$/.test(value.trim())) {
+            return value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+        }
+        throw new Error(`"${value}" is not a time - use milliseconds or h:mm:ss`);
+    }
+
+    // Throws an Error with a message for the user when the file can't be replayed
+    static parseTimeline(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('This file is not valid JSON');
+        }
+        if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+            throw new Error('A timeline needs a list of "steps"');
+        }
+
+        const steps = data.steps
+            .map(step => ({ ...step, at: ReplayRunner.parseTime(step.at) }))
+            .sort((a, b) => a.at - b.at);
+        const frameInterval = data.frameInterval !== undefined ? Number(data.frameInterval) : 500;
+        if (!Number.isFinite(frameInterval) || frameInterval <= 0) {
+            throw new Error('"frameInterval" must be a positive number of milliseconds');
+        }
+        const duration = data.duration !== undefined
+            ? ReplayRunner.parseTime(data.duration)
+            : steps[steps.length - 1].at + frameInterval;
+
+        return { name: data.name || 'Timeline', frameInterval, duration, steps };
+    }
+
+    // What the camera and keyboard showed at a point in the timeline
+    static getSignals(steps, time) {
+        return steps
+            .filter(step => step.at <= time)
+            .reduce((signals, step) => ({
+                faces: step.faces ?? signals.faces,
+                phone: step.phone ?? signals.phone,
+                input: step.input ?? signals.input
+            }), { faces: 0, phone: 0, input: false });
+    }
+
+    // ==================== Running ====================
+
+    // source: { type: 'timeline', timeline } or { type: 'video', file }
+    async run(source) {
+        const clock = new VirtualClock();
+        const start = clock.now();
+        const session = this.createSession(clock);
+
+        if (source.type === 'video') {
+            await this.runVideo(source.file, session);
+        } else {
+            await this.runTimeline(source.timeline, session);
+        }
+
+        return this.createReport(source, session, clock.now() - start);
+    }
+
+    // Detectors on a private bus and clock, reacting to each other the way the live app does
+    createSession(clock) {
+        const events = new EventBus();
+        const input = { active: false, isActive: () => input.active };
+        const focus = {
+            start: clock.now(),
+            focusMs: 0,
+            focusingSince: null,
+            pauses: { away: 0, phone: 0, drowsy: 0 },
+            getFocusTimeMs: () => focus.focusMs + (focus.focusingSince ? clock.now() - focus.focusingSince : 0),
+            getRealTimeMs: () => Math.max(1, clock.now() - focus.start)
+        };
+        const startFocus = () => {
+            if (!focus.focusingSince) focus.focusingSince = clock.now();
+        };
+        const pauseFocus = (reason) => {
+            if (!focus.focusingSince) return;
+            focus.focusMs += clock.now() - focus.focusingSince;
+            focus.focusingSince = null;
+            focus.pauses[reason]++;
+        };
+
+        const presence = new PresenceDetector({
+            ...this.config.presence,
+            headless: true,
+            clock,
+            events,
+            activityMonitor: input,
+            modelAssets: this.modelAssets
+        });
+        const phone = new PhoneDetector({
+            ...this.config.phone,
+            headless: true,
+            clock,
+            events,
+            modelAssets: this.modelAssets
+        });
+        const mood = new MoodDetector({ headless: true, clock, events, presence, tracker: focus });
+
+        const counts = { awayCount: 0, violations: 0, drowsyAlerts: 0 };
+        events.on('presence:away', () => {
+            counts.awayCount++;
+            if (presence.config.autoPauseEnabled) pauseFocus('away');
+        });
+        events.on('presence:return', () => {
+            if (presence.config.autoStartEnabled) startFocus();
+        });
+        events.on('phone:detected', () => {
+            counts.violations++;
+            pauseFocus('phone');
+        });
+        events.on('mood:drowsy', () => {
+            counts.drowsyAlerts++;
+            pauseFocus('drowsy');
+            // As if "Got it" was clicked, so the cooldown decides when it may come back
+            mood.dismissDrowsyAlert();
+        });
+
+        return { clock, input, focus, presence, phone, mood, counts, lastPhone: -Infinity, lastMood: 0 };
+    }
+
+    // Work that is due at this point of recorded time, given one frame's faces and phone
+    async step(session, time, { faces, phoneDetection, input }) {
+        const { clock, presence, phone, mood } = session;
+        clock.set(time);
+        session.input.active = input;
+
+        if (presence.usesCamera()) {
+            presence.onFrameResult({ faces, time });
+        } else {
+            presence.evaluatePresence();
+        }
+
+        if (phone.config.enabled && time - session.lastPhone >= phone.config.detectionInterval) {
+            session.lastPhone = time;
+            const detection = await phoneDetection();
+            if (detection) phone.handlePhoneDetected(detection);
+        }
+
+        if (time - session.lastMood >= this.config.moodInterval) {
+            session.lastMood = time;
+            if (presence.state.isPresent) mood.analyzeMood();
+        }
+    }
+
+    async runTimeline(timeline, session) {
+        const start = session.clock.now();
+        let frames = 0;
+
+        for (let t = 0; t <= timeline.duration; t += timeline.frameInterval) {
+            const signals = ReplayRunner.getSignals(timeline.steps, t);
+            await this.step(session, start + t, {
+                faces: Array.from({ length: signals.faces }, () => ({
+                    confidence: 1,
+                    box: { x: 0.35, y: 0.25, width: 0.3, height: 0.4 }
+                })),
+                phoneDetection: async () => signals.phone > 0 && signals.phone >= session.phone.config.confidenceThreshold
+                    ? { class: 'cell phone', score: signals.phone }
+                    : null,
+                input: Boolean(signals.input)
+            });
+
+            // Let the page breathe and show progress now and then
+            if (++frames % 2000 === 0) {
+                this.onProgress(t / timeline.duration, 'Replaying timeline');
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        this.onProgress(1, 'Replaying timeline');
+    }
+
+    // Seeks through the video frame by frame, so the clock follows the recording, not the wall
+    async runVideo(file, session) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(file);
+
+        try {
+            await new Promise((resolve, reject) => {
+                video.onloadeddata = resolve;
+                video.onerror = () => reject(new Error('This video format can\'t be played here'));
+            });
+
+            // Recordings straight from MediaRecorder often don't say how long they are
+            if (!Number.isFinite(video.duration) || video.duration <= 0) {
+                throw new Error('This video doesn\'t report its length - convert it (e.g. to MP4) and try again');
+            }
+
+            // A recording has no keyboard/mouse signal, and the fake backend can't read video
+            const backendId = this.config.presence.backend === 'fake' ? 'auto' : this.config.presence.backend;
+            const backend = session.presence.usesCamera()
+                ? createPresenceBackend(backendId, {
+                    video,
+                    modelAssets: this.modelAssets,
+                    minDetectionConfidence: session.presence.config.minDetectionConfidence,
+                    onLoadProgress: ({ loaded, total }) => this.onProgress(total ? loaded / total : 0, 'Loading face model')
+                })
+                : null;
+            if (backend) await backend.load();
+            if (session.phone.config.enabled) {
+                this.onProgress(0, 'Loading phone model');
+                await session.phone.loadModel();
+            }
+
+            const start = session.clock.now();
+            const duration = video.duration * 1000;
+            const interval = this.config.videoFrameInterval;
+            const minConfidence = session.presence.config.minDetectionConfidence;
+
+            for (let t = 0; t <= duration; t += interval) {
+                await this.seek(video, t / 1000);
+                const faces = backend
+                    ? (await backend.detect(video)).filter(face => face.confidence >= minConfidence)
+                    : [];
+                await this.step(session, start + t, {
+                    faces,
+                    phoneDetection: () => session.phone.detectFrame(video),
+                    input: false
+                });
+                this.onProgress(t / duration, 'Replaying video');
+            }
+            if (backend) backend.unload();
+        } finally {
+            URL.revokeObjectURL(video.src);
+        }
+    }
+
+    seek(video, seconds) {
+        return new Promise(resolve => {
+            video.onseeked = resolve;
+            video.currentTime = seconds;
+        });
+    }
+
+    createReport(source, session, durationMs) {
+        const { presence, phone, focus, counts } = session;
+
+        return {
+            id: `replay-${Date.now()}`,
+            name: source.type === 'video' ? source.file.name : source.timeline.name,
+            source: source.type,
+            ranAt: Date.now(),
+            durationMs,
+            settings: {
+                mode: presence.getMode(),
+                backend: source.type === 'video' ? presence.config.backend : 'timeline',
+                awaySeconds: presence.config.awayThreshold / 1000,
+                autoPause: presence.config.autoPauseEnabled,
+                autoStart: presence.config.autoStartEnabled,
+                phoneEnabled: phone.config.enabled,
+                phoneConfidence: phone.config.confidenceThreshold,
+                phoneCooldownSeconds: phone.config.warningCooldown / 1000
+            },
+            awayMs: presence.getAwayTime(),
+            awayCount: counts.awayCount,
+            focusMs: focus.getFocusTimeMs(),
+            pauses: focus.pauses,
+            violations: counts.violations,
+            drowsyAlerts: counts.drowsyAlerts
+        };
+    }
+}
+
+// ==================== REPLAY PANEL ====================
+
+class ReplayPanel {
+    constructor(options = {}) {
+        this.history = this.loadHistory();
+        this.running = false;
+
+        // Callbacks
+        this.getRunnerOptions = options.getRunnerOptions || (() => ({}));   // Current settings as runner options
+    }
+
+    // ==================== Modal ====================
+
+    show() {
+        if (document.getElementById('replayModal')) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'goals-modal replay-modal';
+        modal.id = 'replayModal';
+        modal.innerHTML = `
+            <div class="goals-modal-content">
+                <h3>🎬 Replay a Recording</h3>
+                <p class="presence-settings-hint">
+                    Runs presence, phone and mood detection on a recorded video or a timeline file
+                    with the current settings, on a virtual clock. Your stats are not touched.
+                </p>
+                <div class="goal-input-group">
+                    <label for="replayFile">Video or Timeline (.json)</label>
+                    <input type="file" id="replayFile" accept="video/*,application/json,.json">
+                </div>
+                <div class="replay-progress" id="replayProgress" hidden>
+                    <div class="replay-progress-fill" id="replayProgressFill"></div>
+                    <span id="replayProgressLabel"></span>
+                </div>
+                <p class="backup-error" id="replayError"></p>
+                <div class="replay-results" id="replayResults"></div>
+                <div class="goals-modal-actions">
+                    <button class="btn-cancel" id="clearReplays">Clear Results</button>
+                    <button class="btn-cancel" id="closeReplay">Close</button>
+                    <button class="btn-save" id="runReplay">Replay</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('visible'), 10);
+
+        this.renderResults();
+
+        document.getElementById('runReplay').addEventListener('click', () => this.run());
+        document.getElementById('clearReplays').addEventListener('click', () => {
+            this.history = [];
+            this.saveHistory();
+            this.renderResults();
+        });
+        document.getElementById('closeReplay').addEventListener('click', () => this.close());
+    }
+
+    close() {
+        const modal = document.getElementById('replayModal');
+        if (modal) {
+            modal.classList.remove('visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    async run() {
+        const file = document.getElementById('replayFile').files[0];
+        const errorEl = document.getElementById('replayError');
+        errorEl.textContent = '';
+
+        if (!file) {
+            errorEl.textContent = 'Choose a video or a timeline file first';
+            return;
+        }
+        if (this.running) return;
+
+        this.running = true;
+        document.getElementById('runReplay').disabled = true;
+        document.getElementById('replayProgress').hidden = false;
+
+        try {
+            const source = file.type.startsWith('video/')
+                ? { type: 'video', file }
+                : { type: 'timeline', timeline: ReplayRunner.parseTimeline(await file.text()) };
+
+            const runner = new ReplayRunner({
+                ...this.getRunnerOptions(),
+                onProgress: (fraction, label) => this.showProgress(fraction, label)
+            });
+            const report = await runner.run(source);
+
+            this.history = [report, ...this.history].slice(0, REPLAY_HISTORY_LIMIT);
+            this.saveHistory();
+            this.renderResults();
+            console.log('🎬 Replay finished:', report);
+        } catch (error) {
+            console.error('Replay failed:', error);
+            errorEl.textContent = error.message;
+        } finally {
+            this.running = false;
+            const runBtn = document.getElementById('runReplay');
+            if (runBtn) runBtn.disabled = false;
+            const progress = document.getElementById('replayProgress');
+            if (progress) progress.hidden = true;
+        }
+    }
+
+    showProgress(fraction, label) {
+        const fill = document.getElementById('replayProgressFill');
+        const labelEl = document.getElementById('replayProgressLabel');
+        if (!fill) return;
+
+        fill.style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+        labelEl.textContent = `${label} ${Math.round(Math.min(1, fraction) * 100)}%`;
+    }
+
+    // ==================== Results ====================
+
+    // One row per run, newest first, so a settings change shows up next to the run before it
+    renderResults() {
+        const container = document.getElementById('replayResults');
+        if (!container) return;
+
+        if (this.history.length === 0) {
+            container.innerHTML = '<p class="shortcuts-hint">No replays yet</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="replay-table">
+                <thead>
+                    <tr>
+                        <th>Recording</th>
+                        <th>Settings</th>
+                        <th>Away</th>
+                        <th>Focus</th>
+                        <th>Pauses</th>
+                        <th>Phone</th>
+                        <th>Drowsy</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.history.map(report => `
+                        <tr>
+                            <td title="${new Date(report.ranAt).toLocaleString()}">${this.escape(report.name)}</td>
+                            <td class="replay-settings">${this.escape(this.describeSettings(report.settings))}</td>
+                            <td>${this.formatDuration(report.awayMs)} (${report.awayCount}×)</td>
+                            <td>${this.formatDuration(report.focusMs)} / ${this.formatDuration(report.durationMs)}</td>
+                            <td title="Away ${report.pauses.away}, phone ${report.pauses.phone}, drowsy ${report.pauses.drowsy}">
+                                ${report.pauses.away + report.pauses.phone + report.pauses.drowsy}
+                            </td>
+                            <td>${report.violations}</td>
+                            <td>${report.drowsyAlerts}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    describeSettings(settings) {
+        const parts = [
+            settings.mode,
+            settings.backend,
+            `away ${settings.awaySeconds}s`,
+            settings.autoPause ? 'auto-pause' : 'no auto-pause'
+        ];
+        if (settings.phoneEnabled) {
+            parts.push(`phone ≥${Math.round(settings.phoneConfidence * 100)}%/${settings.phoneCooldownSeconds}s`);
+        }
+        return parts.join(' · ');
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // ==================== Persistence ====================
+
+    loadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(REPLAY_STORAGE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    saveHistory() {
+        localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(this.history));
+    }
+}
+
+// Export for use in main app
+window.VirtualClock = VirtualClock;
+window.ReplayRunner = ReplayRunner;
+window.ReplayPanel = ReplayPanel;
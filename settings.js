@@ -0,0 +1,717 @@
+/**
+ * Settings Module
+ * One versioned store for every module's settings, the settings panel and settings files
+ */
+
+const SETTINGS_FORMAT = 'focus-ratio-settings';
+const SETTINGS_STORAGE_KEY = 'focusRatioSettings';
+
+// Every setting, grouped by the module it configures. Values are kept in the units the
+// panel shows (hours, minutes, seconds, percent) so a shared settings file reads the same way.
+const SETTINGS_SCHEMA = [
+    {
+        id: 'general',
+        title: 'General',
+        icon: '🗓️',
+        fields: [
+            { key: 'dayStartHour', label: 'Day Starts At (hour, 0-23)', type: 'number', default: 0, min: 0, max: 23 },
+            {
+                key: 'closedTimePolicy', label: 'Resuming After A Reload', type: 'select', default: 'discard',
+                options: [
+                    ['discard', "Don't count time the page was closed"],
+                    ['count', 'Count time the page was closed as focus']
+                ]
+            },
+            {
+                key: 'modelPath', label: 'Model Files Location', type: 'text', default: 'vendor/',
+                placeholder: 'vendor/',
+                hint: 'Folder or URL holding the files vendor/fetch.sh downloads. Applies after a reload.'
+            }
+        ]
+    },
+    {
+        id: 'goals',
+        title: 'Daily Goals',
+        icon: '🎯',
+        fields: [
+            { key: 'focusHours', label: 'Focus Time (hours)', type: 'number', default: 4, min: 0.5, max: 12, step: 0.5 },
+            { key: 'pomodoros', label: 'Pomodoros', type: 'number', default: 8, min: 1, max: 20 },
+            { key: 'productivity', label: 'Productivity Target (%)', type: 'number', default: 60, min: 10, max: 100 }
+        ]
+    },
+    {
+        id: 'pomodoro',
+        title: 'Pomodoro',
+        icon: '🍅',
+        fields: [
+            { key: 'workMinutes', label: 'Work Session (minutes)', type: 'number', default: 25, min: 1, max: 120 },
+            { key: 'shortBreakMinutes', label: 'Short Break (minutes)', type: 'number', default: 5, min: 1, max: 60 },
+            { key: 'longBreakMinutes', label: 'Long Break (minutes)', type: 'number', default: 15, min: 1, max: 60 },
+            { key: 'longBreakInterval', label: 'Long Break After (pomodoros)', type: 'number', default: 4, min: 1, max: 12 },
+            { key: 'autoStartBreaks', label: 'Start breaks automatically', type: 'checkbox', default: true },
+            { key: 'autoStartWork', label: 'Start work sessions automatically', type: 'checkbox', default: false }
+        ]
+    },
+    {
+        id: 'breaks',
+        title: 'Break Reminders',
+        icon: '🧘',
+        fields: [
+            { key: 'enabled', label: 'Remind me to stretch while focusing', type: 'checkbox', default: true },
+            { key: 'intervalMinutes', label: 'Remind Every (minutes of focus)', type: 'number', default: 45, min: 5, max: 240 },
+            { key: 'snoozeMinutes', label: 'Snooze For (minutes)', type: 'number', default: 10, min: 1, max: 60 }
+        ]
+    },
+    {
+        id: 'presence',
+        title: 'Presence Detection',
+        icon: '👤',
+        fields: [
+            {
+                key: 'mode', label: 'Signals', type: 'select', default: 'camera',
+                options: [
+                    ['combined', 'Camera + keyboard/mouse'],
+                    ['camera', 'Camera only'],
+                    ['activity', 'Keyboard/mouse only (no camera)']
+                ]
+            },
+            {
+                key: 'backend', label: 'Face Detector', type: 'select', default: 'auto',
+                options: [
+                    ['auto', 'Automatic (cheapest available)'],
+                    ['native', 'Built into the browser'],
+                    ['mediapipe', 'MediaPipe'],
+                    ['blazeface', 'BlazeFace (TensorFlow.js)']
+                ],
+                hint: 'Unsupported choices fall back to automatic. Applies after a reload.'
+            },
+            { key: 'awaySeconds', label: 'Away After No Face (seconds)', type: 'number', default: 3, min: 1, max: 600 },
+            { key: 'autoPause', label: 'Pause focus when I leave', type: 'checkbox', default: true },
+            { key: 'autoStart', label: 'Start focus when I come back', type: 'checkbox', default: true },
+            { key: 'cameraWeight', label: 'Camera Weight (%)', type: 'number', default: 60, min: 0, max: 100 },
+            {
+                key: 'activityWeight', label: 'Keyboard/Mouse Weight (%)', type: 'number', default: 40, min: 0, max: 100,
+                hint: 'You count as present when the signals seen add up to 50% - a signal weighted that high is enough on its own, so input alone could keep you at the desk.'
+            },
+            { key: 'idleSeconds', label: 'Idle After No Input (seconds)', type: 'number', default: 120, min: 10, max: 3600 }
+        ]
+    },
+    {
+        id: 'phone',
+        title: 'Phone Detection',
+        icon: '📵',
+        fields: [
+            { key: 'enabled', label: 'Watch for phones on camera', type: 'checkbox', default: true },
+            { key: 'confidence', label: 'Confidence Needed (%)', type: 'number', default: 40, min: 10, max: 95 },
+            { key: 'cooldownSeconds', label: 'Seconds Between Warnings', type: 'number', default: 15, min: 1, max: 600 },
+            { key: 'intervalSeconds', label: 'Check Every (seconds)', type: 'number', default: 1.5, min: 0.5, max: 30, step: 0.5 }
+        ]
+    },
+    {
+        id: 'visibility',
+        title: 'Hidden Tab',
+        icon: '🪟',
+        fields: [
+            {
+                key: 'mode', label: 'When The Tracker Is Hidden', type: 'select', default: 'ignore',
+                options: [
+                    ['ignore', 'Keep counting focus'],
+                    ['pause', 'Pause focus after a while'],
+                    ['offscreen', 'Move hidden time to an off-screen bucket']
+                ]
+            },
+            { key: 'pauseAfter', label: 'Pause After (seconds hidden)', type: 'number', default: 30, min: 5, max: 3600 },
+            { key: 'allowlist', label: 'Allowed Apps (one per line)', type: 'list', default: [], placeholder: 'VS Code\nFigma' },
+            {
+                key: 'workingIn', label: "Right Now I'm Working In", type: 'select', default: '',
+                options: (values) => [
+                    ['', 'This tab only - apply the policy'],
+                    ...values.allowlist.map(app => [app, app])
+                ]
+            }
+        ]
+    },
+    {
+        id: 'shortcuts',
+        title: 'Keyboard Shortcuts',
+        icon: '⌨️',
+        fields: [
+            { key: 'overrides', label: 'Shortcuts you changed from the defaults', type: 'shortcuts', default: {} }
+        ]
+    }
+];
+
+// Each migration turns the stored values of the previous version into the next one
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Collect the per-module localStorage keys into one store',
+        migrate(values, legacy) {
+            const goals = legacy.dailyGoals || {};
+            const presence = legacy.presenceSettings || {};
+            const visibility = legacy.visibilityPolicy || {};
+            const scale = (value, factor) => typeof value === 'number' ? value * factor : undefined;
+
+            return {
+                ...values,
+                general: {
+                    dayStartHour: legacy.dayStartHour,
+                    closedTimePolicy: legacy.closedTimePolicy
+                },
+                goals: {
+                    focusHours: scale(goals.focusTime, 1 / (60 * 60 * 1000)),
+                    pomodoros: goals.pomodoros,
+                    productivity: goals.productivity
+                },
+                presence: {
+                    mode: presence.mode,
+                    cameraWeight: scale(presence.cameraWeight, 100),
+                    activityWeight: scale(presence.activityWeight, 100),
+                    idleSeconds: scale(presence.idleTimeout, 1 / 1000)
+                },
+                visibility,
+                shortcuts: { overrides: legacy.shortcuts }
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Camera-only presence by default; input alone no longer outweighs a missing face',
+        migrate(values) {
+            const presence = values.presence || {};
+            const untouched = presence.mode === 'combined' && presence.activityWeight === 50
+                && (presence.cameraWeight === undefined || presence.cameraWeight === 60);
+
+            return untouched
+                ? { ...values, presence: { ...presence, mode: 'camera', activityWeight: 40 } }
+                : values;
+        }
+    }
+];
+
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+// Keys the modules used before the store existed; named as in older backups
+const SETTINGS_LEGACY_KEYS = {
+    dailyGoals: 'dailyGoals',
+    dayStartHour: 'dayStartHour',
+    closedTimePolicy: 'resumeClosedTime',
+    shortcuts: 'focusRatioShortcuts',
+    presenceSettings: 'presenceSettings',
+    visibilityPolicy: 'visibilityPolicy'
+};
+
+// ==================== SETTINGS STORE ====================
+class SettingsStore {
+    constructor(options = {}) {
+        this.config = {
+            storageKey: SETTINGS_STORAGE_KEY,
+            ...options
+        };
+
+        this.values = {};     // Section id -> complete, validated values
+
+        // Callbacks
+        this.onChange = options.onChange || (() => { });   // (sectionId, values, { external })
+
+        this.init();
+    }
+
+    init() {
+        this.load();
+
+        // Settings saved in another tab apply here too
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.config.storageKey) return;
+
+            const previous = this.values;
+            this.load();
+            SETTINGS_SCHEMA.forEach(({ id }) => {
+                if (JSON.stringify(previous[id]) !== JSON.stringify(this.values[id])) {
+                    this.onChange(id, this.get(id), { external: true });
+                }
+            });
+        });
+    }
+
+    // ==================== Reading & Writing ====================
+
+    get(sectionId) {
+        return { ...this.values[sectionId] };
+    }
+
+    getAll() {
+        return SETTINGS_SCHEMA.reduce((all, { id }) => ({ ...all, [id]: this.get(id) }), {});
+    }
+
+    // Merge values into a section; notify: false for changes that came from the module itself
+    set(sectionId, values, { notify = true } = {}) {
+        this.values[sectionId] = SettingsStore.normalize(sectionId, { ...this.values[sectionId], ...values });
+        this.save();
+
+        if (notify) {
+            this.onChange(sectionId, this.get(sectionId), { external: false });
+        }
+        return this.get(sectionId);
+    }
+
+    // Sections added at runtime (plugins) show up in the panel and are validated like the rest
+    addSection(section) {
+        if (SETTINGS_SCHEMA.some(s => s.id === section.id)) return;
+
+        SETTINGS_SCHEMA.push(section);
+        this.values[section.id] = SettingsStore.normalize(section.id, this.values[section.id]);
+    }
+
+    reset(sectionId) {
+        this.values[sectionId] = SettingsStore.normalize(sectionId, {});
+        this.save();
+        this.onChange(sectionId, this.get(sectionId), { external: false });
+    }
+
+    // ==================== Persistence ====================
+
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+        } catch (e) {
+            console.error('Error loading settings:', e);
+        }
+
+        if (!stored || !stored.values) {
+            // First run with the store: pick up whatever the modules saved on their own
+            stored = SettingsStore.migrate({ version: 0, values: {} }, SettingsStore.readLegacyKeys());
+            this.values = SettingsStore.normalizeAll(stored.values);
+            this.save();
+            Object.values(SETTINGS_LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+            console.log(`⚙️ Settings migrated to version ${SETTINGS_VERSION}`);
+            return;
+        }
+
+        if (stored.version < SETTINGS_VERSION) {
+            stored = SettingsStore.migrate(stored);
+            this.values = SettingsStore.normalizeAll(stored.values);
+            this.save();
+            return;
+        }
+
+        this.values = SettingsStore.normalizeAll(stored.values);
+    }
+
+    save() {
+        localStorage.setItem(this.config.storageKey, JSON.stringify({
+            version: SETTINGS_VERSION,
+            values: this.values
+        }));
+    }
+
+    static readLegacyKeys() {
+        const legacy = {};
+        Object.entries(SETTINGS_LEGACY_KEYS).forEach(([name, key]) => {
+            const value = localStorage.getItem(key);
+            if (value === null) return;
+            try {
+                legacy[name] = JSON.parse(value);
+            } catch (e) {
+                legacy[name] = value;
+            }
+        });
+        return legacy;
+    }
+
+    static migrate(stored, legacy = {}) {
+        let values = stored.values || {};
+        SETTINGS_MIGRATIONS
+            .filter(migration => migration.version > (stored.version || 0))
+            .forEach(migration => {
+                values = migration.migrate(values, legacy);
+            });
+        return { version: SETTINGS_VERSION, values };
+    }
+
+    // Stored value for settings saved before the store existed (old backups)
+    static fromLegacy(legacy) {
+        const migrated = SettingsStore.migrate({ version: 0, values: {} }, legacy);
+        return { version: SETTINGS_VERSION, values: SettingsStore.normalizeAll(migrated.values) };
+    }
+
+    // ==================== Validation ====================
+
+    static normalizeAll(values = {}) {
+        const known = SETTINGS_SCHEMA.reduce((all, { id }) => ({
+            ...all,
+            [id]: SettingsStore.normalize(id, values[id])
+        }), {});
+
+        // Sections of plugins that aren't loaded on this page are kept as they were saved
+        const plugins = Object.entries(values)
+            .filter(([id]) => id.startsWith('plugin:') && !(id in known));
+        return { ...Object.fromEntries(plugins), ...known };
+    }
+
+    // Complete a section with defaults and drop anything out of range or unknown
+    static normalize(sectionId, values = {}) {
+        const section = SETTINGS_SCHEMA.find(s => s.id === sectionId);
+        const result = {};
+
+        // Fields in order, so options can depend on the fields before them
+        section.fields.forEach(field => {
+            result[field.key] = SettingsStore.normalizeField(field, (values || {})[field.key], result);
+        });
+        return result;
+    }
+
+    static normalizeField(field, value, values) {
+        switch (field.type) {
+            case 'number': {
+                const number = Number(value);
+                if (value === null || value === undefined || value === '' || !Number.isFinite(number)) {
+                    return field.default;
+                }
+                return Math.max(field.min, Math.min(field.max, number));
+            }
+            case 'text':
+                return typeof value === 'string' ? value.trim() : field.default;
+            case 'checkbox':
+                return typeof value === 'boolean' ? value : field.default;
+            case 'select':
+                return SettingsStore.getOptions(field, values).some(([option]) => option === value)
+                    ? value
+                    : field.default;
+            case 'list': {
+                const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split('\n') : field.default);
+                return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+            }
+            case 'shortcuts':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+                return Object.fromEntries(Object.entries(value)
+                    .filter(([, combo]) => combo === null || typeof combo === 'string'));
+            default:
+                return field.default;
+        }
+    }
+
+    static getOptions(field, values) {
+        return typeof field.options === 'function' ? field.options(values) : field.options;
+    }
+
+    // ==================== Files ====================
+
+    toFile() {
+        return {
+            format: SETTINGS_FORMAT,
+            version: SETTINGS_VERSION,
+            exportDate: new Date().toISOString(),
+            values: this.values
+        };
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.toFile(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `focus-ratio-settings-${DayCalendar.getDayKey()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log('⚙️ Settings exported');
+    }
+
+    // Applies a settings file and returns the imported section ids, or throws an Error
+    // with a user-facing message. Fields the file leaves out keep their current value.
+    importFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!file || file.format !== SETTINGS_FORMAT) {
+            throw new Error('Not a Focus Ratio settings file');
+        }
+        if (file.version > SETTINGS_VERSION) {
+            throw new Error('Settings were exported by a newer version of Focus Ratio');
+        }
+        if (!file.values || typeof file.values !== 'object') {
+            throw new Error('Settings file contains no settings');
+        }
+
+        const { values } = SettingsStore.migrate(file);
+        const sectionIds = SETTINGS_SCHEMA.map(s => s.id).filter(id => values[id] && typeof values[id] === 'object');
+        if (sectionIds.length === 0) {
+            throw new Error('Settings file contains no settings');
+        }
+
+        sectionIds.forEach(id => this.set(id, values[id]));
+        console.log('⚙️ Settings imported:', sectionIds);
+        return sectionIds;
+    }
+}
+
+// ==================== SETTINGS PANEL ====================
+class SettingsPanel {
+    constructor(store, options = {}) {
+        this.store = store;
+
+        this.state = {
+            activeSection: SETTINGS_SCHEMA[0].id,
+            drafts: {}            // Section id -> edited values not saved yet
+        };
+
+        // Callbacks
+        this.onEditShortcuts = options.onEditShortcuts || (() => { });
+
+        this.init();
+    }
+
+    init() {
+        this.createUI();
+    }
+
+    createUI() {
+        const settingsBtn = document.createElement('button');
+        settingsBtn.className = 'sound-toggle settings-toggle';
+        settingsBtn.id = 'settingsBtn';
+        settingsBtn.title = 'Settings';
+        settingsBtn.textContent = '⚙️';
+        settingsBtn.addEventListener('click', () => this.show());
+
+        const headerActions = document.querySelector('.header-actions');
+        if (headerActions) {
+            headerActions.appendChild(settingsBtn);
+        }
+    }
+
+    // ==================== Modal ====================
+
+    show(sectionId = this.state.activeSection) {
+        if (document.getElementById('settingsModal')) {
+            this.selectSection(sectionId);
+            return;
+        }
+
+        this.state.activeSection = sectionId;
+        this.state.drafts = {};
+
+        const modal = document.createElement('div');
+        modal.className = 'goals-modal settings-modal';
+        modal.id = 'settingsModal';
+        modal.innerHTML = `
+            <div class="goals-modal-content">
+                <h3>Settings</h3>
+                <div class="settings-layout">
+                    <nav class="settings-nav" id="settingsNav">
+                        ${SETTINGS_SCHEMA.map(section => `
+                            <button class="settings-nav-btn" data-section="${section.id}">
+                                <span>${section.icon}</span> ${section.title}
+                            </button>
+                        `).join('')}
+                    </nav>
+                    <div class="settings-form" id="settingsForm"></div>
+                </div>
+                <div class="settings-file-actions">
+                    <button class="command-link" id="resetSettingsSection">Reset this section</button>
+                    <button class="command-link" id="exportSettings">Export to file</button>
+                    <button class="command-link" id="importSettings">Import from file</button>
+                    <input type="file" id="importSettingsFile" accept="application/json,.json" hidden>
+                </div>
+                <p class="backup-error" id="settingsError"></p>
+                <div class="goals-modal-actions">
+                    <button class="btn-cancel" id="cancelSettings">Cancel</button>
+                    <button class="btn-save" id="saveSettings">Save</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        setTimeout(() => modal.classList.add('visible'), 10);
+
+        this.renderSection();
+        this.bindModalEvents();
+    }
+
+    bindModalEvents() {
+        document.getElementById('settingsNav').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-section]');
+            if (button) this.selectSection(button.dataset.section);
+        });
+        // Options like "working in" follow the list they are built from
+        document.getElementById('settingsForm').addEventListener('change', (e) => {
+            if (e.target.tagName === 'TEXTAREA') {
+                this.readSection();
+                this.renderSection();
+            }
+        });
+        document.getElementById('settingsForm').addEventListener('click', (e) => {
+            if (e.target.closest('[data-edit-shortcuts]')) {
+                this.close();
+                this.onEditShortcuts();
+            }
+        });
+
+        document.getElementById('resetSettingsSection').addEventListener('click', () => {
+            this.state.drafts[this.state.activeSection] = SettingsStore.normalize(this.state.activeSection, {});
+            this.renderSection();
+        });
+        document.getElementById('exportSettings').addEventListener('click', () => this.store.download());
+        document.getElementById('importSettings').addEventListener('click', () => {
+            document.getElementById('importSettingsFile').click();
+        });
+        document.getElementById('importSettingsFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importFile(file);
+        });
+
+        document.getElementById('cancelSettings').addEventListener('click', () => this.close());
+        document.getElementById('saveSettings').addEventListener('click', () => this.save());
+    }
+
+    selectSection(sectionId) {
+        this.readSection();
+        this.state.activeSection = sectionId;
+        this.renderSection();
+    }
+
+    close() {
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.classList.remove('visible');
+            setTimeout(() => modal.remove(), 300);
+        }
+    }
+
+    // ==================== Form ====================
+
+    getValues(sectionId) {
+        return this.state.drafts[sectionId] || this.store.get(sectionId);
+    }
+
+    renderSection() {
+        const section = SETTINGS_SCHEMA.find(s => s.id === this.state.activeSection);
+        const values = this.getValues(section.id);
+
+        document.querySelectorAll('.settings-nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.section === section.id);
+        });
+        document.getElementById('settingsForm').innerHTML = section.fields
+            .map(field => this.renderField(field, values))
+            .join('');
+    }
+
+    renderField(field, values) {
+        const id = `setting-${field.key}`;
+        const value = values[field.key];
+        const hint = field.hint ? `<p class="presence-settings-hint">${field.hint}</p>` : '';
+
+        switch (field.type) {
+            case 'number':
+                return `
+                    <div class="goal-input-group">
+                        <label for="${id}">${field.label}</label>
+                        <input type="number" id="${id}" data-key="${field.key}" value="${value}"
+                            min="${field.min}" max="${field.max}" step="${field.step || 1}">
+                    </div>${hint}`;
+            case 'text':
+                return `
+                    <div class="goal-input-group">
+                        <label for="${id}">${field.label}</label>
+                        <input type="text" id="${id}" data-key="${field.key}" value="${this.escape(value)}"
+                            placeholder="${this.escape(field.placeholder || '')}">
+                    </div>${hint}`;
+            case 'checkbox':
+                return `
+                    <label class="backup-check settings-check">
+                        <input type="checkbox" id="${id}" data-key="${field.key}" ${value ? 'checked' : ''}>
+                        ${field.label}
+                    </label>${hint}`;
+            case 'select':
+                return `
+                    <div class="goal-input-group">
+                        <label for="${id}">${field.label}</label>
+                        <select id="${id}" data-key="${field.key}">
+                            ${SettingsStore.getOptions(field, values).map(([option, label]) => `
+                                <option value="${this.escape(option)}" ${option === value ? 'selected' : ''}>${this.escape(label)}</option>
+                            `).join('')}
+                        </select>
+                    </div>${hint}`;
+            case 'list':
+                return `
+                    <div class="goal-input-group">
+                        <label for="${id}">${field.label}</label>
+                        <textarea id="${id}" data-key="${field.key}" rows="3"
+                            placeholder="${this.escape(field.placeholder || '')}">${this.escape(value.join('\n'))}</textarea>
+                    </div>${hint}`;
+            case 'shortcuts': {
+                const changed = Object.keys(value).length;
+                return `
+                    <div class="goal-input-group">
+                        <label>${field.label}</label>
+                        <p class="shortcuts-hint">${changed === 0 ? 'All shortcuts use their defaults' : `${changed} changed`}</p>
+                    </div>
+                    <button class="btn-cancel settings-wide-btn" data-edit-shortcuts>Edit keyboard shortcuts…</button>`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    // Keep what was typed in the visible section when switching sections or saving
+    readSection() {
+        const sectionId = this.state.activeSection;
+        const values = { ...this.getValues(sectionId) };
+
+        document.querySelectorAll('#settingsForm [data-key]').forEach(input => {
+            const key = input.dataset.key;
+            if (input.type === 'checkbox') {
+                values[key] = input.checked;
+            } else if (input.type === 'number') {
+                values[key] = input.value === '' ? null : Number(input.value);
+            } else {
+                values[key] = input.value;
+            }
+        });
+
+        this.state.drafts[sectionId] = SettingsStore.normalize(sectionId, values);
+    }
+
+    // Only sections that actually changed are saved, so each module re-applies only what it must
+    save() {
+        this.readSection();
+
+        const changed = Object.entries(this.state.drafts).filter(([sectionId, values]) =>
+            JSON.stringify(values) !== JSON.stringify(this.store.get(sectionId)));
+        changed.forEach(([sectionId, values]) => this.store.set(sectionId, values));
+
+        this.close();
+        showToast(changed.length > 0 ? 'Settings saved' : 'No settings changed', changed.length > 0 ? 'success' : 'info');
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const sectionIds = this.store.importFile(reader.result);
+                this.close();
+                showToast(`⚙️ Imported settings for ${sectionIds.length} section${sectionIds.length === 1 ? '' : 's'}`, 'success');
+            } catch (error) {
+                document.getElementById('settingsError').textContent = error.message;
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in main app
+window.SettingsStore = SettingsStore;
+window.SettingsPanel = SettingsPanel;
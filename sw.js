@@ -0,0 +1,243 @@
+/**
+ * Service Worker
+ * Caches the app shell and the vendored libraries and models (see vendor/fetch.sh) so the
+ * tracker, analytics and detectors keep working with no network at all
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `focus-ratio-shell-${CACHE_VERSION}`;
+const VENDOR_CACHE = 'focus-ratio-vendor';     // Large, so kept across app versions
+const FONT_CACHE = `focus-ratio-fonts-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'analytics.html',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'styles.css',
+    'analytics.css',
+    'sounds.js',
+    'calendar.js',
+    'toast.js',
+    'event-bus.js',
+    'settings.js',
+    'database.js',
+    'backup.js',
+    'mood-detector.js',
+    'photo-capture.js',
+    'phone-detector.js',
+    'activity-monitor.js',
+    'webcam.js',
+    'tab-sync.js',
+    'visibility-policy.js',
+    'task-picker.js',
+    'pomodoro.js',
+    'features.js',
+    'command-palette.js',
+    'replay.js',
+    'plugins.js',
+    'model-assets.js',
+    'presence-backends.js',
+    'export.js',
+    'day-editor.js',
+    'analytics.js',
+    'tracker.js',
+    'app.js'
+];
+
+// Written by vendor/fetch.sh next to the files it downloads; paths are relative to vendor/
+const VENDOR_DIR = 'vendor/';
+const VENDOR_MANIFEST_FILE = 'assets.json';
+const VENDOR_MANIFEST = `${VENDOR_DIR}${VENDOR_MANIFEST_FILE}`;
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ==================== Install ====================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await cacheVendorFiles();
+        await self.skipWaiting();
+    })());
+});
+
+// The models are large, so only files whose hash isn't cached yet are downloaded and the rest removed
+async function cacheVendorFiles() {
+    let manifest;
+    try {
+        const response = await fetch(VENDOR_MANIFEST, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        manifest = await response.clone().json();
+        await (await caches.open(VENDOR_CACHE)).put(VENDOR_MANIFEST, response);
+    } catch (error) {
+        console.warn('⚠️ No vendor/assets.json - run vendor/fetch.sh; detectors will not work offline', error);
+        return;
+    }
+    vendorManifest = Promise.resolve(manifest);
+
+    const cache = await caches.open(VENDOR_CACHE);
+    const wanted = new Map(Object.entries(manifest.files)
+        .map(([file, { sha256 }]) => [getVendorKey(new URL(VENDOR_DIR + file, self.location), sha256), file]));
+    wanted.set(new URL(VENDOR_MANIFEST, self.location).href, null);
+
+    for (const request of await cache.keys()) {
+        if (!wanted.has(request.url)) await cache.delete(request);
+    }
+    // A file that can't be fetched is left out (and fetched on demand later) rather than
+    // failing the install, which would hold back the app shell too
+    for (const [key, file] of wanted) {
+        if (file === null || await cache.match(key)) continue;
+
+        try {
+            const response = await fetch(VENDOR_DIR + file, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await putVendorFile(cache, key, response, manifest.files[file].sha256);
+        } catch (error) {
+            console.warn(`⚠️ Couldn't cache vendor/${file} for offline use:`, error);
+        }
+    }
+}
+
+// ==================== Vendor Hashes ====================
+
+// Hashes from vendor/assets.json, refreshed whenever the page fetches it through here
+let vendorManifest = null;
+
+function getVendorManifest() {
+    if (!vendorManifest) {
+        vendorManifest = caches.open(VENDOR_CACHE)
+            .then(cache => cache.match(VENDOR_MANIFEST))
+            .then(response => response ? response.json() : { files: {} })
+            .catch(() => ({ files: {} }));
+    }
+    return vendorManifest;
+}
+
+// Path of a vendored file relative to vendor/, as assets.json lists it
+function getVendorPath(url) {
+    const index = url.pathname.indexOf(`/${VENDOR_DIR}`);
+    return decodeURIComponent(url.pathname.slice(index + VENDOR_DIR.length + 1));
+}
+
+// Cached under its hash, so a file that a new vendor/fetch.sh run replaced is never served stale
+function getVendorKey(url, sha256) {
+    return `${url.origin}${url.pathname}?sha256=${sha256}`;
+}
+
+// Only bytes that match the hash go under it; throws for a mismatch
+async function putVendorFile(cache, key, response, sha256) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await response.clone().arrayBuffer()));
+    const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    if (hex !== sha256) {
+        throw new Error('does not match its hash in assets.json');
+    }
+    await cache.put(key, response);
+}
+
+// ==================== Activate ====================
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, VENDOR_CACHE, FONT_CACHE];
+
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('focus-ratio-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// ==================== Fetch ====================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.includes(`/${VENDOR_DIR}`)) {
+        event.respondWith(getVendorPath(url) === VENDOR_MANIFEST_FILE
+            ? fetchVendorManifest(request)
+            : vendorCacheFirst(request, url));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    }
+});
+
+// Edits to the app show up on the next load when online; offline uses the last copy
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Small and the source of the hashes, so always asked for fresh when online
+async function fetchVendorManifest(request) {
+    const response = await networkFirst(request, VENDOR_CACHE);
+    if (response.ok) {
+        vendorManifest = response.clone().json().catch(() => ({ files: {} }));
+    }
+    return response;
+}
+
+// Models are megabytes and only change with their hash: a file cached under the hash
+// assets.json lists is served as is to model-assets.js, and only a new hash is downloaded
+async function vendorCacheFirst(request, url) {
+    const manifest = await getVendorManifest();
+    const entry = manifest.files[getVendorPath(url)];
+    if (!entry) return networkFirst(request, VENDOR_CACHE);
+
+    const cache = await caches.open(VENDOR_CACHE);
+    const key = getVendorKey(url, entry.sha256);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        try {
+            await putVendorFile(cache, key, response.clone(), entry.sha256);
+
+            // Older copies of the same file go with the new one
+            for (const old of await cache.keys()) {
+                const oldUrl = new URL(old.url);
+                if (oldUrl.pathname === url.pathname && old.url !== key) await cache.delete(old);
+            }
+        } catch (error) {
+            // Passed on uncached - model-assets.js reports the mismatch to the user
+            console.warn(`⚠️ Not caching ${url.pathname}:`, error);
+        }
+    }
+    return response;
+}
+
+// Fonts are nice to have: serve the cached copy, refresh it in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
@@ -0,0 +1,105 @@
+/**
+ * Tab Sync Module
+ * Coordinates tracker tabs: one leader owns the clock and camera, the others mirror it
+ */
+
+class TabSync {
+    constructor(options = {}) {
+        this.config = {
+            channelName: 'focus-ratio',
+            lockName: 'focus-ratio-leader',
+            ...options
+        };
+
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.isLeader = false;
+        this.channel = null;
+
+        // Callbacks
+        this.onState = options.onState || (() => { });               // Follower: leader published its state
+        this.onCommand = options.onCommand || (() => { });           // Leader: a follower asked for an action
+        this.onStateRequest = options.onStateRequest || (() => { }); // Leader: a new tab wants the current state
+        this.onBecomeLeader = options.onBecomeLeader || (() => { }); // Follower took over from a closed leader
+    }
+
+    // Resolves with whether this tab leads right away
+    async init() {
+        if (typeof BroadcastChannel === 'undefined' || !navigator.locks) {
+            // Nothing to coordinate with - this tab runs on its own
+            console.warn('⚠️ Tab sync unavailable, running standalone');
+            this.isLeader = true;
+            return true;
+        }
+
+        this.channel = new BroadcastChannel(this.config.channelName);
+        this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+
+        this.isLeader = await this.tryLead();
+        if (!this.isLeader) {
+            this.waitForLeadership();
+        }
+
+        console.log(`🔗 Tab sync: ${this.isLeader ? 'leader' : 'following another tab'}`);
+        return this.isLeader;
+    }
+
+    // ==================== Leader Election ====================
+
+    // The leader holds a Web Lock for as long as the tab lives; the browser releases it on close
+    tryLead() {
+        return new Promise(resolve => {
+            navigator.locks.request(this.config.lockName, { ifAvailable: true }, (lock) => {
+                resolve(Boolean(lock));
+                return lock ? new Promise(() => { }) : null;
+            });
+        });
+    }
+
+    waitForLeadership() {
+        navigator.locks.request(this.config.lockName, () => {
+            this.isLeader = true;
+            console.log('🔗 Tab sync: leader tab closed, taking over');
+            this.onBecomeLeader();
+            return new Promise(() => { });
+        });
+    }
+
+    // ==================== Messaging ====================
+
+    handleMessage(message) {
+        if (!message || message.from === this.tabId) return;
+
+        switch (message.type) {
+            case 'state':
+                if (!this.isLeader) this.onState(message.payload);
+                break;
+            case 'command':
+                if (this.isLeader) this.onCommand(message.payload);
+                break;
+            case 'state-request':
+                if (this.isLeader) this.onStateRequest();
+                break;
+        }
+    }
+
+    publishState(state) {
+        if (this.isLeader) this.post('state', state);
+    }
+
+    sendCommand(action, data = {}) {
+        this.post('command', { action, ...data });
+    }
+
+    requestState() {
+        this.post('state-request');
+    }
+
+    post(type, payload = null) {
+        if (this.channel) {
+            this.channel.postMessage({ type, from: this.tabId, payload });
+        }
+    }
+}
+
+// Export for use in main app
+window.TabSync = TabSync;
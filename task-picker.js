@@ -0,0 +1,225 @@
+/**
+ * Task Picker Module
+ * Tags focus time with a project and task ("Project / Task") chosen next to Start Focus
+ */
+
+class TaskPicker {
+    constructor(options = {}) {
+        this.config = {
+            maxRecent: 8,
+            ...options
+        };
+
+        this.state = {
+            activeTask: null,     // { project, task }
+            recent: [],           // Labels, most recent first
+            highlighted: -1
+        };
+
+        this.STORAGE_KEY = 'focusRatioTasks';
+
+        // Callbacks
+        this.onChange = options.onChange || (() => { });
+
+        this.init();
+    }
+
+    init() {
+        this.loadState();
+        this.createUI();
+    }
+
+    createUI() {
+        const picker = document.createElement('div');
+        picker.className = 'task-picker';
+        picker.id = 'taskPicker';
+        picker.innerHTML = `
+            <span class="task-picker-icon">📁</span>
+            <input type="text" id="taskInput" class="task-input" autocomplete="off"
+                placeholder="What are you working on? (Project / Task)"
+                role="combobox" aria-autocomplete="list" aria-controls="taskSuggestions" aria-expanded="false">
+            <ul class="task-suggestions" id="taskSuggestions" role="listbox"></ul>
+        `;
+
+        const controls = document.querySelector('.focus-timer .timer-controls');
+        if (controls) {
+            controls.insertAdjacentElement('afterend', picker);
+        }
+
+        this.elements = {
+            input: document.getElementById('taskInput'),
+            suggestions: document.getElementById('taskSuggestions')
+        };
+
+        if (this.state.activeTask) {
+            this.elements.input.value = this.formatLabel(this.state.activeTask);
+        }
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        const { input, suggestions } = this.elements;
+
+        input.addEventListener('focus', () => this.showSuggestions());
+        input.addEventListener('input', () => this.showSuggestions());
+        input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Delay so a click on a suggestion lands before the list closes
+        input.addEventListener('blur', () => {
+            setTimeout(() => {
+                this.hideSuggestions();
+                this.commit(input.value);
+            }, 150);
+        });
+
+        suggestions.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-label]');
+            if (item) {
+                e.preventDefault();
+                this.select(item.dataset.label);
+            }
+        });
+    }
+
+    handleKeydown(e) {
+        const items = this.getMatches();
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.state.highlighted = Math.min(items.length - 1, this.state.highlighted + 1);
+                this.renderSuggestions(items);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.state.highlighted = Math.max(-1, this.state.highlighted - 1);
+                this.renderSuggestions(items);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(items[this.state.highlighted] || this.elements.input.value);
+                break;
+            case 'Escape':
+                this.elements.input.value = this.state.activeTask ? this.formatLabel(this.state.activeTask) : '';
+                this.elements.input.blur();
+                break;
+        }
+    }
+
+    // ==================== Suggestions ====================
+
+    getMatches() {
+        const query = this.elements.input.value.trim().toLowerCase();
+        return this.state.recent.filter(label => label.toLowerCase().includes(query));
+    }
+
+    showSuggestions() {
+        this.state.highlighted = -1;
+        this.renderSuggestions(this.getMatches());
+    }
+
+    renderSuggestions(items) {
+        const { input, suggestions } = this.elements;
+
+        suggestions.innerHTML = items.map((label, i) => `
+            <li class="task-suggestion ${i === this.state.highlighted ? 'highlighted' : ''}"
+                role="option" data-label="${this.escape(label)}" aria-selected="${i === this.state.highlighted}">
+                ${this.escape(label)}
+            </li>
+        `).join('');
+
+        const open = items.length > 0;
+        suggestions.classList.toggle('visible', open);
+        input.setAttribute('aria-expanded', String(open));
+    }
+
+    hideSuggestions() {
+        this.elements.suggestions.classList.remove('visible');
+        this.elements.input.setAttribute('aria-expanded', 'false');
+    }
+
+    select(label) {
+        this.elements.input.value = label;
+        this.commit(label);
+        this.elements.input.blur();
+    }
+
+    // ==================== Active Task ====================
+
+    commit(label) {
+        const task = this.parseLabel(label);
+        if (this.formatLabel(task) === this.formatLabel(this.state.activeTask)) return;
+
+        this.setActiveTask(task);
+    }
+
+    setActiveTask(task) {
+        this.state.activeTask = task;
+
+        if (task) {
+            const label = this.formatLabel(task);
+            this.state.recent = [label, ...this.state.recent.filter(l => l !== label)]
+                .slice(0, this.config.maxRecent);
+        }
+
+        this.elements.input.value = task ? this.formatLabel(task) : '';
+        this.saveState();
+        this.onChange(task);
+    }
+
+    // Reflect a task chosen in another tab without saving or notifying
+    showTask(task) {
+        this.state.activeTask = task;
+        if (document.activeElement !== this.elements.input) {
+            this.elements.input.value = task ? this.formatLabel(task) : '';
+        }
+    }
+
+    getActiveTask() {
+        return this.state.activeTask;
+    }
+
+    // "Project / Task" -> { project, task }; empty text -> null
+    parseLabel(label) {
+        const [project, ...rest] = (label || '').split('/').map(part => part.trim());
+        if (!project) return null;
+        return { project, task: rest.filter(Boolean).join(' / ') || null };
+    }
+
+    formatLabel(task) {
+        if (!task) return '';
+        return task.task ? `${task.project} / ${task.task}` : task.project;
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    // ==================== Persistence ====================
+
+    saveState() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+            activeTask: this.state.activeTask,
+            recent: this.state.recent
+        }));
+    }
+
+    loadState() {
+        const saved = localStorage.getItem(this.STORAGE_KEY);
+        if (saved) {
+            try {
+                const parsed = JSON.parse(saved);
+                this.state.activeTask = parsed.activeTask || null;
+                this.state.recent = parsed.recent || [];
+            } catch (e) {
+                console.error('Error loading tasks:', e);
+            }
+        }
+    }
+}
+
+// Export for use in main app
+window.TaskPicker = TaskPicker;
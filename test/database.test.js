@@ -0,0 +1,84 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const { DayCalendar } = require('../calendar.js');
+const { ProductivityDatabase, DB_SCHEMA_VERSION } = require('../database.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// Quiet the line each migration logs
+mock.method(console, 'log', () => { });
+
+let db;
+
+// A fresh in-memory database per test, migrated from scratch like a first visit
+beforeEach(async () => {
+    db = new ProductivityDatabase({ indexedDB: new IDBFactory(), IDBKeyRange, calendar: DayCalendar });
+    await db.init();
+});
+
+function saveDay(dayKey, { focusHours, realHours, sessions = 1, streakHours = 1 }) {
+    return db.saveDailyStats({
+        focusTime: focusHours * HOUR,
+        realTime: realHours * HOUR,
+        productivity: (focusHours / realHours) * 100,
+        sessions,
+        longestStreak: streakHours * HOUR
+    }, dayKey);
+}
+
+test('a monthly summary adds up only the days of that month', async () => {
+    await saveDay('2026-02-28', { focusHours: 8, realHours: 8 });
+    await saveDay('2026-03-01', { focusHours: 2, realHours: 8, sessions: 3, streakHours: 1 });
+    await saveDay('2026-03-15', { focusHours: 6, realHours: 8, sessions: 4, streakHours: 2.5 });
+    await saveDay('2026-03-31', { focusHours: 4, realHours: 8, sessions: 2, streakHours: 2 });
+    await saveDay('2026-04-01', { focusHours: 8, realHours: 8 });
+
+    const summary = await db.getMonthSummary(2026, 3);
+
+    assert.equal(summary.year, 2026);
+    assert.equal(summary.month, 3);
+    assert.equal(summary.daysTracked, 3);
+    assert.equal(summary.totalFocusTime, 12 * HOUR);
+    assert.equal(summary.totalRealTime, 24 * HOUR);
+    assert.equal(summary.totalSessions, 9);
+    assert.equal(summary.maxStreak, 2.5 * HOUR);
+    assert.equal(summary.avgProductivity, 50);
+    assert.deepEqual(summary.dailyStats.map(s => s.date), ['2026-03-01', '2026-03-15', '2026-03-31']);
+});
+
+test('months are summarized in the order asked, with null for months without data', async () => {
+    await saveDay('2026-01-10', { focusHours: 3, realHours: 9 });
+    await saveDay('2026-03-10', { focusHours: 6, realHours: 8 });
+
+    const summaries = await db.getMonthSummaries([
+        { year: 2026, month: 3 },
+        { year: 2026, month: 2 },
+        { year: 2026, month: 1 }
+    ]);
+
+    assert.deepEqual(summaries.map(s => s && s.totalFocusTime), [6 * HOUR, null, 3 * HOUR]);
+    assert.equal(summaries[2].avgProductivity, 33.33);
+});
+
+test('February ends on its last day, leap years included', () => {
+    assert.deepEqual(db.getMonthRange(2026, 2), { startDate: '2026-02-01', endDate: '2026-02-28' });
+    assert.deepEqual(db.getMonthRange(2028, 2), { startDate: '2028-02-01', endDate: '2028-02-29' });
+});
+
+test('saving a day again replaces its stats rather than adding to them', async () => {
+    await saveDay('2026-03-10', { focusHours: 2, realHours: 4 });
+    await saveDay('2026-03-10', { focusHours: 3, realHours: 5 });
+
+    const summary = await db.getMonthSummary(2026, 3);
+    assert.equal(summary.daysTracked, 1);
+    assert.equal(summary.totalFocusTime, 3 * HOUR);
+});
+
+test('a database migrated from scratch ends at the latest schema without the project index', () => {
+    assert.equal(db.db.version, DB_SCHEMA_VERSION);
+
+    const indexes = Array.from(db.db.transaction(['sessions'], 'readonly').objectStore('sessions').indexNames);
+    assert.deepEqual(indexes.sort(), ['date', 'startTime']);
+});
@@ -0,0 +1,133 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DayCalendar } = require('../calendar.js');
+const { PomodoroTimer } = require('../pomodoro.js');
+
+const MINUTE = 60 * 1000;
+
+// Quiet the timer's console output
+mock.method(console, 'log', () => { });
+
+// A headless timer on a clock the test moves by hand, saving to a localStorage stand-in
+function createTimer({ start = new Date(2026, 2, 10, 9, 0), storage = createStorage(), ...options } = {}) {
+    const clock = { time: start.getTime(), now() { return this.time; } };
+    const emitted = [];
+    const timer = new PomodoroTimer({
+        headless: true,
+        clock,
+        storage,
+        calendar: DayCalendar,
+        modules: {},
+        events: { emit: (type, data) => emitted.push({ type, data }), on: () => { } },
+        ...options
+    });
+    timer.init();
+
+    // Move the clock and let the countdown see it, as the page's 100 ms timer would
+    const advance = (ms) => {
+        clock.time += ms;
+        timer.tick();
+    };
+    return { timer, clock, advance, emitted, storage };
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const completions = (emitted) => emitted.filter(e => e.type === 'pomodoro:complete').map(e => e.data.phase);
+
+// ==================== Phase Completion ====================
+
+test('a work phase completes when its countdown runs out and the break starts', () => {
+    const { timer, advance, emitted } = createTimer();
+
+    timer.start();
+    advance(24 * MINUTE);
+    assert.equal(timer.state.currentPhase, 'work');
+    assert.equal(timer.state.timeRemaining, MINUTE);
+
+    advance(MINUTE);
+    assert.deepEqual(completions(emitted), ['work']);
+    assert.equal(timer.state.completedPomodoros, 1);
+    assert.equal(timer.state.totalPomodorosToday, 1);
+    assert.equal(timer.state.currentPhase, 'shortBreak');
+    assert.equal(timer.state.isRunning, true);
+    assert.equal(timer.state.timeRemaining, 5 * MINUTE);
+});
+
+test('a pause keeps the time left and the countdown goes on from there', () => {
+    const { timer, advance } = createTimer();
+
+    timer.start();
+    advance(10 * MINUTE);
+    timer.pause();
+    advance(30 * MINUTE);
+    assert.equal(timer.state.timeRemaining, 15 * MINUTE);
+
+    timer.start();
+    advance(5 * MINUTE);
+    assert.equal(timer.state.timeRemaining, 10 * MINUTE);
+});
+
+test('every fourth pomodoro is followed by a long break', () => {
+    const { timer, advance, emitted } = createTimer();
+    const breaks = [];
+
+    for (let i = 0; i < 5; i++) {
+        timer.start();          // Work doesn't start by itself
+        advance(25 * MINUTE);
+        breaks.push(timer.state.currentPhase);
+        advance(timer.state.timeRemaining);
+    }
+
+    assert.deepEqual(breaks, ['shortBreak', 'shortBreak', 'shortBreak', 'longBreak', 'shortBreak']);
+    assert.equal(timer.state.completedPomodoros, 5);
+    assert.deepEqual(completions(emitted).filter(phase => phase === 'longBreak'), ['longBreak']);
+});
+
+// ==================== Resume After Reload ====================
+
+function reloadWhileRunning({ closedFor }) {
+    const storage = createStorage();
+    const first = createTimer({ storage });
+    first.timer.start();
+    first.advance(15 * MINUTE);    // The tick saves a heartbeat
+
+    const reopenedAt = new Date(first.clock.now() + closedFor);
+    return createTimer({ storage, start: reopenedAt });
+}
+
+test('a countdown running at reload waits, paused where it was, to be resumed', () => {
+    const { timer } = reloadWhileRunning({ closedFor: 3 * MINUTE });
+
+    assert.equal(timer.state.isRunning, false);
+    assert.equal(timer.state.currentPhase, 'work');
+    assert.equal(timer.state.timeRemaining, 10 * MINUTE);
+    assert.ok(timer.interrupted);
+});
+
+test('resuming counts the closed time only when asked to', () => {
+    const counted = reloadWhileRunning({ closedFor: 3 * MINUTE });
+    counted.timer.resumeInterrupted(true);
+    assert.equal(counted.timer.state.isRunning, true);
+    assert.equal(counted.timer.state.timeRemaining, 7 * MINUTE);
+
+    const discarded = reloadWhileRunning({ closedFor: 3 * MINUTE });
+    discarded.timer.resumeInterrupted(false);
+    assert.equal(discarded.timer.state.timeRemaining, 10 * MINUTE);
+});
+
+test('a phase that ran out while the page was closed completes on resume', () => {
+    const { timer, emitted } = reloadWhileRunning({ closedFor: 20 * MINUTE });
+
+    timer.resumeInterrupted(true);
+    assert.deepEqual(completions(emitted), ['work']);
+    assert.equal(timer.state.completedPomodoros, 1);
+    assert.equal(timer.state.currentPhase, 'shortBreak');
+});
@@ -0,0 +1,86 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PresenceDetector } = require('../webcam.js');
+
+// Quiet the detector's console output
+mock.method(console, 'log', () => { });
+
+const FACE = { confidence: 1, box: { x: 0.35, y: 0.25, width: 0.3, height: 0.4 } };
+
+// Camera-only detector fed frames by hand on its own clock, as a replay drives it
+function createDetector(options = {}) {
+    const clock = { time: 0, now() { return this.time; } };
+    const emitted = [];
+    const detector = new PresenceDetector({
+        headless: true,
+        clock,
+        modelAssets: {},
+        events: { emit: (type, data) => emitted.push({ type, data }), on: () => { } },
+        ...options
+    });
+
+    // One analyzed frame every `every` ms for `ms` ms
+    const frames = (count, ms, every = 500) => {
+        for (let elapsed = 0; elapsed < ms; elapsed += every) {
+            clock.time += every;
+            detector.onFrameResult({ faces: Array(count).fill(FACE), time: clock.time });
+        }
+    };
+    return { detector, clock, frames, emitted };
+}
+
+const types = (emitted) => emitted.map(e => e.type);
+
+test('a face needs a few frames in a row before the user counts as back', () => {
+    const { detector, frames } = createDetector();
+
+    frames(1, 1000);    // Two frames
+    assert.equal(detector.isPresent(), false);
+    frames(1, 500);     // Third frame
+    assert.equal(detector.isPresent(), true);
+});
+
+test('a face missing for less than the away threshold is not an absence', () => {
+    const { detector, frames, emitted } = createDetector({ awayThreshold: 5000 });
+
+    frames(1, 2000);
+    frames(0, 4500);
+    frames(1, 500);
+
+    assert.equal(detector.isPresent(), true);
+    assert.deepEqual(types(emitted), ['presence:return']);
+    assert.equal(detector.getAwayTime(), 0);
+});
+
+test('away starts once the face has been gone for the threshold and its time is summed on return', () => {
+    const { detector, frames, clock, emitted } = createDetector({ awayThreshold: 5000 });
+
+    frames(1, 2000);
+    const lastSeen = clock.now();
+    frames(0, 5000);
+    assert.equal(detector.isPresent(), false);
+    assert.equal(emitted.at(-1).type, 'presence:away');
+    assert.equal(emitted.at(-1).data.time, lastSeen + 5000);
+
+    frames(0, 60 * 1000);
+    frames(1, 1500);    // Back after three frames
+    assert.equal(detector.isPresent(), true);
+    assert.deepEqual(types(emitted), ['presence:return', 'presence:away', 'presence:return']);
+    assert.equal(detector.getAwayTime(), 61.5 * 1000);
+});
+
+test('someone joining for longer than the guest threshold is one interruption', () => {
+    const { frames, emitted } = createDetector({ guestThreshold: 3000, guestLeaveThreshold: 5000 });
+
+    frames(1, 2000);
+    frames(2, 1000);    // Too short to count
+    frames(1, 2000);
+    frames(2, 10000);
+    frames(1, 6000);
+
+    const interruptions = emitted.filter(e => e.type.startsWith('interruption:'));
+    assert.deepEqual(types(interruptions), ['interruption:start', 'interruption:end']);
+    assert.equal(interruptions[1].data.duration, 9500);
+    assert.equal(interruptions[1].data.faces, 2);
+});
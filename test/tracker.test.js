@@ -0,0 +1,159 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DayCalendar } = require('../calendar.js');
+const { ProductivityTracker } = require('../tracker.js');
+
+const MINUTE = 60 * 1000;
+
+// Quiet the tracker's console output
+mock.method(console, 'log', () => { });
+
+// A clock the test moves by hand, a localStorage stand-in and a database that only records
+function createTracker({ start, storage = createStorage(), settings = {} } = {}) {
+    const clock = { time: start.getTime(), now() { return this.time; } };
+    const db = { sessions: [], days: {}, events: [] };
+    const productivityDB = {
+        saveSession: async (session) => { db.sessions.push(session); },
+        saveDailyStats: async (stats, dayKey) => { db.days[dayKey] = stats; },
+        addEvent: async (event) => { db.events.push(event); }
+    };
+    const settingsStore = { get: () => settings };
+    const emitted = [];
+    const events = { emit: (type, data) => emitted.push({ type, data }) };
+
+    const tracker = new ProductivityTracker({
+        headless: true,
+        clock,
+        storage,
+        calendar: DayCalendar,
+        modules: { productivityDB, settingsStore },
+        events
+    });
+    const advance = (ms) => { clock.time += ms; };
+    return { tracker, clock, advance, db, emitted, storage };
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+// ==================== Pause / Resume ====================
+
+test('pausing and resuming counts only the focused stretches', () => {
+    const { tracker, advance, db } = createTracker({ start: new Date(2026, 2, 10, 9, 0) });
+
+    tracker.startFocus();
+    advance(25 * MINUTE);
+    tracker.pauseFocus();
+    advance(10 * MINUTE);
+    tracker.startFocus();
+    advance(15 * MINUTE);
+
+    assert.equal(tracker.getFocusTimeMs(), 40 * MINUTE);
+    assert.equal(tracker.getRealTimeMs(), 50 * MINUTE);
+    assert.equal(tracker.state.focusSessions, 2);
+
+    tracker.pauseFocus();
+    assert.deepEqual(db.sessions.map(s => s.duration), [25 * MINUTE, 15 * MINUTE]);
+    assert.equal(tracker.state.isFocusing, false);
+});
+
+test('an off-screen hold keeps one session but leaves the hidden time out', () => {
+    const { tracker, advance, db } = createTracker({ start: new Date(2026, 2, 10, 9, 0) });
+
+    tracker.startFocus();
+    advance(10 * MINUTE);
+    assert.equal(tracker.holdFocus(), true);
+    advance(5 * MINUTE);
+    assert.equal(tracker.getFocusTimeMs(), 10 * MINUTE);
+    tracker.releaseFocus();
+    advance(10 * MINUTE);
+    tracker.pauseFocus();
+
+    assert.equal(tracker.getFocusTimeMs(), 20 * MINUTE);
+    assert.equal(tracker.state.focusSessions, 1);
+    assert.equal(db.sessions.length, 1);
+    assert.equal(db.sessions[0].duration, 20 * MINUTE);
+    assert.equal(db.sessions[0].endTime - db.sessions[0].startTime, 25 * MINUTE);
+});
+
+test('a reload logs the interrupted interval and resumes from now when closed time is discarded', () => {
+    const storage = createStorage();
+    const first = createTracker({ start: new Date(2026, 2, 10, 9, 0), storage });
+    first.tracker.startFocus();
+    first.advance(20 * MINUTE);
+    first.tracker.saveState();   // Last heartbeat before the page closed
+
+    const second = createTracker({ start: new Date(2026, 2, 10, 9, 30), storage, settings: { closedTimePolicy: 'discard' } });
+    assert.equal(second.tracker.state.isFocusing, false);
+
+    second.tracker.offerResume();
+    assert.equal(second.tracker.getFocusTimeMs(), 20 * MINUTE);
+    assert.equal(second.db.sessions[0].endReason, 'unload');
+
+    second.tracker.resumeInterrupted();
+    second.advance(10 * MINUTE);
+    assert.equal(second.tracker.getFocusTimeMs(), 30 * MINUTE);
+    assert.equal(second.tracker.state.focusSessions, 1);
+});
+
+test('resuming with closed time counted leaves out an earlier hold only once', () => {
+    const storage = createStorage();
+    const first = createTracker({ start: new Date(2026, 2, 10, 9, 0), storage });
+    first.tracker.startFocus();
+    first.advance(10 * MINUTE);
+    first.tracker.holdFocus();
+    first.advance(5 * MINUTE);
+    first.tracker.releaseFocus();
+    first.advance(5 * MINUTE);
+    first.tracker.saveState();   // 15 min focused, 5 min held
+
+    const second = createTracker({ start: new Date(2026, 2, 10, 9, 30), storage, settings: { closedTimePolicy: 'count' } });
+    second.tracker.offerResume();
+    assert.equal(second.tracker.getFocusTimeMs(), 15 * MINUTE);
+    assert.equal(second.db.sessions[0].duration, 15 * MINUTE);
+
+    second.tracker.resumeInterrupted();
+    assert.equal(second.tracker.getFocusTimeMs(), 25 * MINUTE);
+});
+
+// ==================== Day Rollover ====================
+
+test('a running interval is split at midnight between the two days', () => {
+    const { tracker, advance, db, emitted } = createTracker({ start: new Date(2026, 2, 10, 23, 0) });
+
+    tracker.startFocus();
+    advance(90 * MINUTE);    // 00:30 the next day
+    tracker.checkDayRollover();
+
+    const rollover = emitted.find(e => e.type === 'day:rollover');
+    assert.deepEqual(rollover.data, { previousDay: '2026-03-10', day: '2026-03-11' });
+
+    assert.equal(db.days['2026-03-10'].focusTime, 60 * MINUTE);
+    assert.equal(db.days['2026-03-10'].realTime, 60 * MINUTE);
+    assert.equal(db.sessions[0].endReason, 'rollover');
+    assert.equal(db.sessions[0].endTime, new Date(2026, 2, 11).getTime());
+
+    assert.equal(tracker.state.realTimeStart.getTime(), new Date(2026, 2, 11).getTime());
+    assert.equal(tracker.state.isFocusing, true);
+    assert.equal(tracker.state.focusSessions, 1);
+    assert.equal(tracker.getFocusTimeMs(), 30 * MINUTE);
+});
+
+test('a page asleep over several boundaries rolls over once per day', () => {
+    const { tracker, advance, db, emitted } = createTracker({ start: new Date(2026, 2, 10, 22, 0) });
+
+    advance(2 * 24 * 60 * MINUTE + 60 * MINUTE);   // 23:00 two days later
+    tracker.checkDayRollover();
+
+    assert.equal(emitted.filter(e => e.type === 'day:rollover').length, 2);
+    assert.deepEqual(Object.keys(db.days).sort(), ['2026-03-10', '2026-03-11']);
+    assert.equal(db.days['2026-03-11'].realTime, 24 * 60 * MINUTE);
+    assert.equal(DayCalendar.getDayKey(tracker.state.realTimeStart), '2026-03-12');
+    assert.equal(tracker.getRealTimeMs(), 23 * 60 * MINUTE);
+});
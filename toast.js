@@ -0,0 +1,53 @@
+/**
+ * Toast Module
+ * Short notifications at the bottom of the page, shared by the tracker and the analytics page
+ */
+
+// ==================== Toast Notification ====================
+
+// options: { actionLabel, onAction, duration }
+function showToast(message, type = 'info', options = {}) {
+    // Remove existing toast
+    const existingToast = document.querySelector('.auto-pause-toast');
+    if (existingToast) {
+        existingToast.remove();
+    }
+
+    // Create toast element
+    const toast = document.createElement('div');
+    toast.className = 'auto-pause-toast';
+    toast.innerHTML = `
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+            <line x1="12" y1="9" x2="12" y2="13"/>
+            <line x1="12" y1="17" x2="12.01" y2="17"/>
+        </svg>
+        <span>${message}</span>
+        ${options.actionLabel ? `<button class="toast-action">${options.actionLabel}</button>` : ''}
+    `;
+
+    const dismiss = () => {
+        toast.classList.remove('visible');
+        setTimeout(() => toast.remove(), 400);
+    };
+
+    if (options.actionLabel) {
+        toast.querySelector('.toast-action').addEventListener('click', () => {
+            dismiss();
+            if (options.onAction) options.onAction();
+        });
+    }
+
+    document.body.appendChild(toast);
+
+    // Trigger animation
+    requestAnimationFrame(() => {
+        toast.classList.add('visible');
+    });
+
+    // Remove after 4 seconds unless told otherwise
+    setTimeout(dismiss, options.duration || 4000);
+}
+
+// Export for use
+window.showToast = showToast;
@@ -0,0 +1,1058 @@
+/**
+ * Tracker Module
+ * Real time against focus time for the day: intervals, day rollover, resets, resuming
+ * after a reload and mirroring across tabs. app.js wires it to the page and other modules.
+ */
+
+class ProductivityTracker {
+    // options.isLeader: false when another tab owns the clock and this one mirrors it
+    // options.clock: anything with now() (Date by default) - tests step a fake one across days
+    // options.headless: no page - skips the DOM, event listeners and timers so the
+    //   caller drives tick() and checkDayRollover() itself
+    // options.storage, options.calendar, options.modules: localStorage, DayCalendar and window
+    //   by default - tests under Node pass their own
+    constructor(options = {}) {
+        // State
+        this.state = {
+            realTimeStart: null,
+            focusTimeAccumulated: 0,
+            focusTimeStart: null,
+            isFocusing: false,
+            focusSessions: 0,
+            longestStreak: 0,
+            currentStreakStart: null,
+            heldSince: null,            // Running interval on hold (tracker off screen) since, in ms
+            heldMs: 0,                  // Earlier holds of the running interval
+            sessionPomodoroPhase: null,
+            sessionTask: null
+        };
+
+        this.clock = options.clock || Date;
+        this.headless = options.headless === true;
+        this.storage = options.storage || localStorage;
+        this.calendar = options.calendar || DayCalendar;
+
+        // The other modules (productivityDB, pomodoroTimer, taskPicker, ...) are looked up when
+        // needed, since most of them are created after the tracker
+        this.modules = options.modules || window;
+
+        // DOM Elements
+        this.elements = this.headless ? {} : {
+            realTimeDisplay: document.getElementById('realTimeDisplay'),
+            focusTimeDisplay: document.getElementById('focusTimeDisplay'),
+            productivityPercent: document.getElementById('productivityPercent'),
+            progressRing: document.getElementById('progressRing'),
+            startPauseBtn: document.getElementById('startPauseBtn'),
+            resetBtn: document.getElementById('resetBtn'),
+            undoResetBtn: document.getElementById('undoResetBtn'),
+            btnIcon: document.getElementById('btnIcon'),
+            btnText: document.getElementById('btnText'),
+            focusStatus: document.getElementById('focusStatus'),
+            sessionStart: document.getElementById('sessionStart'),
+            focusSessions: document.getElementById('focusSessions'),
+            avgSession: document.getElementById('avgSession'),
+            longestStreak: document.getElementById('longestStreak'),
+            statusBadge: document.getElementById('statusBadge')
+        };
+
+        // Last reset that can still be undone
+        this.lastReset = null;
+
+        // Interval that was still running when the page closed, until the user decides on it
+        this.interrupted = null;
+
+        // Interruption still going on, with the session it belongs to (see beginInterruption)
+        this.openInterruption = null;
+
+        // Only the leader tab advances and persists the clock
+        this.isLeader = options.isLeader !== false;
+
+        // Event bus the tracker reports focus changes to
+        this.events = options.events || null;
+
+        // Constants
+        this.STORAGE_KEY = 'focusRatioState';
+        this.RESET_UNDO_WINDOW = 24 * 60 * 60 * 1000; // Resets can be undone for a day
+        this.CIRCUMFERENCE = 2 * Math.PI * 85; // Circle radius from SVG
+
+        // Initialize
+        this.init();
+    }
+
+    init() {
+        this.loadState();
+        if (this.headless) return;
+
+        this.bindEvents();
+        this.startTimers();
+        this.updateUI();
+    }
+
+    // ==================== State Management ====================
+
+    loadState() {
+        const saved = this.storage.getItem(this.STORAGE_KEY);
+
+        if (saved) {
+            try {
+                const parsed = JSON.parse(saved);
+                const savedDay = this.calendar.getDayKey(new Date(parsed.realTimeStart));
+
+                // Only restore if it's the same tracking day
+                if (savedDay === this.calendar.getDayKey(this.now())) {
+                    this.state = {
+                        ...this.state,
+                        realTimeStart: new Date(parsed.realTimeStart),
+                        focusTimeAccumulated: parsed.focusTimeAccumulated || 0,
+                        isFocusing: false, // Start paused, offerResume() lets the user pick up a running interval
+                        focusSessions: parsed.focusSessions || 0,
+                        longestStreak: parsed.longestStreak || 0
+                    };
+
+                    if (parsed.isFocusing && parsed.focusTimeStart) {
+                        this.interrupted = {
+                            focusTimeStart: parsed.focusTimeStart,
+                            currentStreakStart: parsed.currentStreakStart || parsed.focusTimeStart,
+                            closedAt: parsed.savedAt || parsed.focusTimeStart,
+                            heldMs: parsed.heldMs || 0,
+                            sessionPomodoroPhase: parsed.sessionPomodoroPhase || null,
+                            sessionTask: parsed.sessionTask || null
+                        };
+                    }
+                } else {
+                    // New day, fresh start
+                    this.resetForNewDay();
+                }
+            } catch (e) {
+                console.error('Error loading state:', e);
+                this.resetForNewDay();
+            }
+        } else {
+            this.resetForNewDay();
+        }
+    }
+
+    saveState() {
+        if (!this.isLeader) return;
+
+        // The running interval is kept so a reload or crash can resume it;
+        // savedAt marks the last moment the page was known to be open
+        const stateToSave = {
+            realTimeStart: this.state.realTimeStart.toISOString(),
+            focusTimeAccumulated: this.state.focusTimeAccumulated,
+            focusSessions: this.state.focusSessions,
+            longestStreak: this.state.longestStreak,
+            isFocusing: this.state.isFocusing,
+            focusTimeStart: this.state.focusTimeStart ? this.state.focusTimeStart.getTime() : null,
+            currentStreakStart: this.state.currentStreakStart ? this.state.currentStreakStart.getTime() : null,
+            heldMs: this.getHeldMs(),
+            sessionPomodoroPhase: this.state.sessionPomodoroPhase,
+            sessionTask: this.state.sessionTask,
+            savedAt: this.clock.now()
+        };
+        this.storage.setItem(this.STORAGE_KEY, JSON.stringify(stateToSave));
+        this.publishState();
+    }
+
+    resetForNewDay() {
+        this.state.realTimeStart = this.now();
+        this.state.focusTimeAccumulated = 0;
+        this.state.focusTimeStart = null;
+        this.state.isFocusing = false;
+        this.state.focusSessions = 0;
+        this.state.longestStreak = 0;
+        this.saveState();
+    }
+
+    // ==================== Timer Logic ====================
+
+    startTimers() {
+        // Update every 100ms for smooth display
+        setInterval(() => this.tick(), 100);
+
+        // Roll over to a new day while the page stays open
+        setInterval(() => this.checkDayRollover(), 1000);
+
+        // Keep other tabs' away time and presence current
+        setInterval(() => this.publishState(), 1000);
+
+        // Heartbeat so a crash loses at most a few seconds of a running interval
+        setInterval(() => {
+            if (this.state.isFocusing) this.saveState();
+        }, 5000);
+    }
+
+    tick() {
+        if (!this.headless) {
+            this.updateTimerDisplays();
+            this.updateProductivity();
+        }
+
+        // Achievements are unlocked by the leader tab only
+        if (!this.isLeader) return;
+
+        // Check for hour warrior achievement (1 hour continuous focus)
+        if (this.state.isFocusing && this.modules.achievements) {
+            const currentStreak = this.getCurrentStreakMs();
+            if (currentStreak >= 60 * 60 * 1000) { // 1 hour
+                this.modules.achievements.unlock('hour_warrior');
+            }
+        }
+
+        // Check for perfect day achievement
+        const productivity = this.getRealTimeMs() > 0
+            ? (this.getFocusTimeMs() / this.getRealTimeMs()) * 100
+            : 0;
+        if (productivity >= 99 && this.getRealTimeMs() > 30 * 60 * 1000) { // 99%+ after 30 mins
+            if (this.modules.achievements) {
+                this.modules.achievements.unlock('perfect_day');
+            }
+        }
+    }
+
+    // Current time as a Date, from the tracker's clock
+    now() {
+        return new Date(this.clock.now());
+    }
+
+    getRealTimeMs(now = this.clock.now()) {
+        return now - this.state.realTimeStart.getTime();
+    }
+
+    getFocusTimeMs(now = this.clock.now()) {
+        return this.state.focusTimeAccumulated + this.getIntervalMs(now);
+    }
+
+    // Focus time of the running interval, leaving out the stretches it was on hold
+    getIntervalMs(now = this.clock.now()) {
+        if (!this.state.isFocusing || !this.state.focusTimeStart) return 0;
+        return Math.max(0, now - this.state.focusTimeStart.getTime() - this.getHeldMs(now));
+    }
+
+    getHeldMs(now = this.clock.now()) {
+        return this.state.heldMs + (this.state.heldSince ? Math.max(0, now - this.state.heldSince) : 0);
+    }
+
+    // The running interval carries on from now as a new stretch; a hold in progress stays on
+    restartInterval(now) {
+        this.state.focusTimeStart = new Date(now);
+        this.state.heldMs = 0;
+        this.state.heldSince = this.state.heldSince ? now : null;
+    }
+
+    getCurrentStreakMs() {
+        if (!this.state.isFocusing || !this.state.currentStreakStart) return 0;
+        return this.clock.now() - this.state.currentStreakStart.getTime();
+    }
+
+    // ==================== Day Rollover ====================
+
+    checkDayRollover() {
+        if (!this.isLeader) return;
+
+        // Loop in case the page slept through more than one boundary
+        while (this.clock.now() >= this.calendar.getNextDayStart(this.state.realTimeStart).getTime()) {
+            this.rollOverDay();
+        }
+    }
+
+    // Close out the finished day at its boundary and carry a running interval into the new one
+    rollOverDay() {
+        const boundary = this.calendar.getNextDayStart(this.state.realTimeStart).getTime();
+        const wasFocusing = this.state.isFocusing;
+
+        if (wasFocusing) {
+            // Split the running interval: everything before the boundary belongs to the old day
+            const intervalMs = this.getIntervalMs(boundary);
+            this.state.focusTimeAccumulated += intervalMs;
+
+            const streak = boundary - this.state.currentStreakStart.getTime();
+            if (streak > this.state.longestStreak) {
+                this.state.longestStreak = streak;
+            }
+
+            this.recordSession(this.state.focusTimeStart.getTime(), boundary, 'rollover', intervalMs);
+            this.state.isFocusing = false;
+        }
+
+        // Stats are read synchronously, before the state below is reset
+        this.saveToDatabase(boundary);
+
+        this.state.realTimeStart = new Date(boundary);
+        this.state.focusTimeAccumulated = 0;
+        this.state.focusSessions = wasFocusing ? 1 : 0;
+        this.state.longestStreak = 0;
+        this.state.isFocusing = wasFocusing;
+        if (wasFocusing) {
+            this.restartInterval(boundary);
+        } else {
+            this.state.focusTimeStart = null;
+        }
+        this.state.currentStreakStart = wasFocusing ? new Date(boundary) : null;
+
+        // An interruption across midnight is logged in two parts, like the interval
+        this.splitInterruption(boundary);
+
+        // Away time, off-screen time and the pomodoro count start over with the day
+        this.events?.emit('day:rollover', {
+            previousDay: this.calendar.getDayKey(new Date(boundary - 1)),
+            day: this.calendar.getDayKey(new Date(boundary))
+        });
+
+        this.saveState();
+        this.updateUI();
+        console.log(`🌅 Day rolled over at ${new Date(boundary).toLocaleString()}`);
+
+        this.notify('🌅 New day started - yesterday has been saved', 'info');
+    }
+
+    // ==================== UI Updates ====================
+
+    // Toasts belong to the page, so a headless tracker stays quiet
+    notify(message, type, options) {
+        if (!this.headless) {
+            showToast(message, type, options);
+        }
+    }
+
+    updateTimerDisplays() {
+        const realTime = this.getRealTimeMs();
+        const focusTime = this.getFocusTimeMs();
+
+        this.elements.realTimeDisplay.textContent = this.formatTime(realTime);
+        this.elements.focusTimeDisplay.textContent = this.formatTime(focusTime);
+        this.elements.sessionStart.textContent = this.formatStartTime(this.state.realTimeStart);
+    }
+
+    updateProductivity() {
+        const realTime = this.getRealTimeMs();
+        const focusTime = this.getFocusTimeMs();
+
+        // Prevent division by zero and ensure focus never exceeds real
+        const cappedFocusTime = Math.min(focusTime, realTime);
+        const productivity = realTime > 0 ? (cappedFocusTime / realTime) * 100 : 0;
+
+        // Update percentage display
+        this.elements.productivityPercent.textContent = productivity.toFixed(2);
+
+        // Update progress ring
+        const offset = this.CIRCUMFERENCE - (productivity / 100) * this.CIRCUMFERENCE;
+        this.elements.progressRing.style.strokeDashoffset = offset;
+
+        // Update ring color based on productivity
+        this.updateRingColor(productivity);
+    }
+
+    updateRingColor(productivity) {
+        const ring = this.elements.progressRing;
+        if (productivity >= 70) {
+            ring.style.stroke = '#22c55e'; // Green
+        } else if (productivity >= 40) {
+            ring.style.stroke = '#f59e0b'; // Amber
+        } else if (productivity >= 20) {
+            ring.style.stroke = '#f97316'; // Orange
+        } else {
+            ring.style.stroke = '#ef4444'; // Red
+        }
+    }
+
+    updateUI() {
+        if (this.headless) return;
+
+        this.updateTimerDisplays();
+        this.updateProductivity();
+        this.updateStats();
+        this.updateButtonState();
+        this.updateFocusStatus();
+        this.updateUndoButton();
+    }
+
+    updateButtonState() {
+        if (this.headless) return;
+
+        if (this.state.isFocusing) {
+            this.elements.btnIcon.textContent = '⏸';
+            this.elements.btnText.textContent = 'Pause';
+            this.elements.startPauseBtn.classList.add('active');
+        } else {
+            this.elements.btnIcon.textContent = '▶';
+            this.elements.btnText.textContent = 'Start Focus';
+            this.elements.startPauseBtn.classList.remove('active');
+        }
+    }
+
+    updateFocusStatus() {
+        if (this.headless) return;
+
+        const status = this.elements.focusStatus;
+        if (this.state.isFocusing && this.state.heldSince) {
+            status.textContent = 'Off-screen';
+            status.classList.remove('active');
+        } else if (this.state.isFocusing) {
+            status.textContent = 'Focusing';
+            status.classList.add('active');
+        } else {
+            status.textContent = 'Paused';
+            status.classList.remove('active');
+        }
+    }
+
+    updateStats() {
+        if (this.headless) return;
+
+        // Focus sessions
+        this.elements.focusSessions.textContent = this.state.focusSessions;
+
+        // Average session
+        const avgMs = this.state.focusSessions > 0
+            ? this.state.focusTimeAccumulated / this.state.focusSessions
+            : 0;
+        this.elements.avgSession.textContent = this.formatShortTime(avgMs);
+
+        // Longest streak
+        this.elements.longestStreak.textContent = this.formatShortTime(this.state.longestStreak);
+    }
+
+    // ==================== Actions ====================
+
+    toggleFocus() {
+        if (this.forwardToLeader('toggle')) return;
+
+        if (this.state.isFocusing) {
+            this.pauseFocus();
+        } else {
+            this.startFocus();
+        }
+    }
+
+    startFocus() {
+        if (this.forwardToLeader('start')) return;
+
+        this.state.isFocusing = true;
+        this.state.focusTimeStart = this.now();
+        this.state.currentStreakStart = this.now();
+        this.state.heldSince = null;
+        this.state.heldMs = 0;
+        this.state.sessionPomodoroPhase = this.getPomodoroPhase();
+        this.state.sessionTask = this.modules.taskPicker ? this.modules.taskPicker.getActiveTask() : null;
+        this.state.focusSessions++;
+        this.updateButtonState();
+        this.updateFocusStatus();
+        this.updateStats();
+        this.saveState();
+
+        // Play sound effect
+        if (this.modules.sounds) {
+            this.modules.sounds.playStart();
+        }
+
+        this.events?.emit('focus:start', { time: this.state.focusTimeStart.getTime() });
+        if (this.headless) return;
+
+        // Add visual feedback
+        this.elements.focusTimeDisplay.style.animation = 'none';
+        setTimeout(() => {
+            this.elements.focusTimeDisplay.style.animation = '';
+        }, 10);
+    }
+
+    // reason: 'manual', 'away', 'phone', 'drowsy', 'pomodoro', 'hidden' or 'unload'
+    // ('rollover', 'task_switch' and 'reset' are used internally when an interval is closed early)
+    pauseFocus(reason = 'manual') {
+        if (this.forwardToLeader('pause', { reason })) return;
+
+        const now = this.clock.now();
+        let elapsed = 0;
+        if (this.state.focusTimeStart) {
+            elapsed = this.getIntervalMs(now);
+            this.state.focusTimeAccumulated += elapsed;
+
+            // Persist the interval that just ended
+            this.recordSession(this.state.focusTimeStart.getTime(), now, reason, elapsed);
+
+            // Check for longest streak
+            const currentStreak = this.getCurrentStreakMs();
+            if (currentStreak > this.state.longestStreak) {
+                this.state.longestStreak = currentStreak;
+            }
+        }
+
+        this.state.isFocusing = false;
+        this.state.focusTimeStart = null;
+        this.state.currentStreakStart = null;
+        this.state.heldSince = null;
+        this.state.heldMs = 0;
+        this.state.sessionPomodoroPhase = null;
+        this.updateButtonState();
+        this.updateFocusStatus();
+        this.updateStats();
+        this.saveState();
+
+        // Play sound effect
+        if (this.modules.sounds) {
+            this.modules.sounds.playPause();
+        }
+
+        // Save to database
+        this.saveToDatabase();
+
+        this.events?.emit('focus:pause', { time: now, reason, duration: elapsed });
+    }
+
+    // Close the running interval under the old task and carry on under the new one
+    switchTask(task) {
+        if (this.forwardToLeader('switchTask', { task })) return;
+
+        if (this.state.isFocusing && this.state.focusTimeStart) {
+            const now = this.clock.now();
+            const intervalMs = this.getIntervalMs(now);
+            this.state.focusTimeAccumulated += intervalMs;
+            this.recordSession(this.state.focusTimeStart.getTime(), now, 'task_switch', intervalMs);
+            this.restartInterval(now);
+            this.saveState();
+        }
+        this.state.sessionTask = task;
+
+        this.events?.emit('task:switch', { task });
+    }
+
+    resetFocus() {
+        if (this.forwardToLeader('reset')) return;
+
+        // Archive today's numbers so the reset can be undone
+        const snapshot = {
+            focusTimeAccumulated: this.getFocusTimeMs(),
+            focusSessions: this.state.focusSessions,
+            longestStreak: Math.max(this.state.longestStreak, this.getCurrentStreakMs())
+        };
+        const hadProgress = snapshot.focusTimeAccumulated > 0 || snapshot.focusSessions > 0;
+
+        // The running interval is kept as a session so sessions and the day's total still agree
+        if (this.state.isFocusing && this.state.focusTimeStart) {
+            this.recordSession(this.state.focusTimeStart.getTime(), this.clock.now(), 'reset', this.getIntervalMs());
+        }
+
+        this.state.focusTimeAccumulated = 0;
+        this.state.focusTimeStart = null;
+        this.state.heldSince = null;
+        this.state.heldMs = 0;
+        this.state.isFocusing = false;
+        this.state.focusSessions = 0;
+        this.state.longestStreak = 0;
+        this.state.currentStreakStart = null;
+
+        this.updateUI();
+        this.saveState();
+
+        if (hadProgress) {
+            this.archiveReset(snapshot);
+        }
+
+        this.events?.emit('focus:reset', { time: this.clock.now() });
+    }
+
+    async archiveReset(snapshot) {
+        const event = { type: 'reset', timestamp: this.clock.now(), snapshot, restoredAt: null };
+        this.lastReset = event;
+
+        if (this.modules.productivityDB) {
+            try {
+                event.id = await this.modules.productivityDB.addEvent(event);
+            } catch (error) {
+                console.error('Failed to archive reset:', error);
+            }
+        }
+
+        this.saveToDatabase();
+        this.updateUndoButton();
+        this.publishState();
+        this.notify('↺ Focus time reset', 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.undoReset(),
+            duration: 10000
+        });
+    }
+
+    canUndoReset() {
+        return Boolean(this.lastReset)
+            && this.clock.now() - this.lastReset.timestamp < this.RESET_UNDO_WINDOW
+            && this.calendar.getDayKey(new Date(this.lastReset.timestamp)) === this.calendar.getDayKey(this.state.realTimeStart);
+    }
+
+    // Add the archived numbers back on top of anything tracked since the reset
+    async undoReset() {
+        if (this.forwardToLeader('undoReset')) return;
+
+        if (!this.canUndoReset()) {
+            this.lastReset = null;
+            this.updateUndoButton();
+            return;
+        }
+
+        const { snapshot, id } = this.lastReset;
+        this.lastReset = null;
+
+        this.state.focusTimeAccumulated += snapshot.focusTimeAccumulated;
+        this.state.focusSessions += snapshot.focusSessions;
+        this.state.longestStreak = Math.max(this.state.longestStreak, snapshot.longestStreak);
+
+        this.updateUI();
+        this.updateUndoButton();
+        this.saveState();
+        this.saveToDatabase();
+
+        if (this.modules.productivityDB && id !== undefined) {
+            try {
+                await this.modules.productivityDB.markEventRestored(id);
+            } catch (error) {
+                console.error('Failed to mark reset as restored:', error);
+            }
+        }
+
+        this.notify('↶ Focus time restored', 'success');
+    }
+
+    // Pick up a reset from earlier today that is still in its undo window
+    async loadLastReset() {
+        if (!this.modules.productivityDB) return;
+
+        try {
+            const today = this.calendar.getDayKey(this.state.realTimeStart);
+            const resets = await this.modules.productivityDB.getEventsRange(today, today, 'reset');
+            const latest = resets.filter(event => !event.restoredAt).pop();
+
+            if (latest) {
+                this.lastReset = latest;
+                this.updateUndoButton();
+            }
+        } catch (error) {
+            console.error('Failed to load reset history:', error);
+        }
+    }
+
+    updateUndoButton() {
+        if (this.elements.undoResetBtn) {
+            this.elements.undoResetBtn.hidden = !this.canUndoReset();
+        }
+    }
+
+    // ==================== Resume After Reload ====================
+
+    // 'count' keeps the time the page was closed as focus time, 'discard' drops it (Settings > General)
+    getClosedTimePolicy() {
+        return this.modules.settingsStore ? this.modules.settingsStore.get('general').closedTimePolicy : 'discard';
+    }
+
+    // Close the interval that was running when the page went away, then offer to pick it up again.
+    // Needs the database, so it runs after init rather than from loadState().
+    offerResume() {
+        const interrupted = this.interrupted;
+        const pomodoroInterrupted = this.modules.pomodoroTimer ? this.modules.pomodoroTimer.interrupted : null;
+        if (!this.isLeader || (!interrupted && !pomodoroInterrupted)) return;
+
+        if (interrupted) {
+            // Everything up to the last heartbeat was real focus time
+            if (interrupted.closedAt > interrupted.focusTimeStart) {
+                const intervalMs = Math.max(0, interrupted.closedAt - interrupted.focusTimeStart - interrupted.heldMs);
+                this.state.focusTimeAccumulated += intervalMs;
+                this.state.sessionPomodoroPhase = interrupted.sessionPomodoroPhase;
+                this.state.sessionTask = interrupted.sessionTask;
+                this.recordSession(interrupted.focusTimeStart, interrupted.closedAt, 'unload', intervalMs);
+            }
+            this.state.longestStreak = Math.max(this.state.longestStreak, interrupted.closedAt - interrupted.currentStreakStart);
+            this.saveState();
+            this.saveToDatabase();
+            this.updateUI();
+        }
+
+        const closedAt = (interrupted || pomodoroInterrupted).closedAt;
+        const closedMinutes = Math.round((this.clock.now() - closedAt) / 60000);
+        const policy = this.getClosedTimePolicy() === 'count' ? 'counted' : 'not counted';
+        this.notify(`⏯️ ${interrupted ? 'Focus' : 'Pomodoro'} was running when the page closed ${closedMinutes} min ago (closed time ${policy})`, 'info', {
+            actionLabel: 'Resume',
+            onAction: () => this.resumeInterrupted(),
+            duration: 15000
+        });
+    }
+
+    resumeInterrupted() {
+        const interrupted = this.interrupted;
+        const countClosed = this.getClosedTimePolicy() === 'count';
+        this.interrupted = null;
+
+        if (interrupted) {
+            this.resumeInterval(interrupted, countClosed);
+        }
+        if (this.modules.pomodoroTimer) {
+            this.modules.pomodoroTimer.resumeInterrupted(countClosed);
+        }
+
+        this.notify('▶ Session resumed', 'success');
+    }
+
+    resumeInterval(interrupted, countClosed) {
+        const resumeFrom = countClosed ? interrupted.closedAt : this.clock.now();
+
+        if (this.state.isFocusing) {
+            // Detection already restarted focus since the reload - stretch it back over the closed time
+            if (countClosed && resumeFrom < this.state.focusTimeStart.getTime()) {
+                this.state.focusTimeStart = new Date(resumeFrom);
+                this.state.currentStreakStart = new Date(interrupted.currentStreakStart);
+            }
+        } else {
+            // A continuation of the interrupted session, so the session count stays as it was
+            this.state.isFocusing = true;
+            this.state.focusTimeStart = new Date(resumeFrom);
+            this.state.currentStreakStart = new Date(countClosed ? interrupted.currentStreakStart : resumeFrom);
+            // The interrupted interval's holds were taken off the 'unload' session already
+            this.state.heldSince = null;
+            this.state.heldMs = 0;
+            this.state.sessionPomodoroPhase = interrupted.sessionPomodoroPhase;
+            this.state.sessionTask = this.modules.taskPicker ? this.modules.taskPicker.getActiveTask() : interrupted.sessionTask;
+        }
+
+        this.saveState();
+        this.updateUI();
+    }
+
+    // ==================== Off-screen Hold ====================
+
+    // The tracker went off screen in 'offscreen' mode: the interval stays open as one session but
+    // stops counting until releaseFocus(). Returns whether there was a running interval to hold.
+    holdFocus() {
+        if (!this.state.isFocusing || this.state.heldSince) return false;
+
+        this.state.heldSince = this.clock.now();
+        this.saveState();
+        this.updateFocusStatus();
+        return true;
+    }
+
+    releaseFocus() {
+        if (!this.state.heldSince) return;
+
+        this.state.heldMs += Math.max(0, this.clock.now() - this.state.heldSince);
+        this.state.heldSince = null;
+        this.saveState();
+        this.updateFocusStatus();
+    }
+
+    // ==================== Tab Sync ====================
+
+    // Followers hand user actions to the leader tab instead of running them
+    forwardToLeader(action, data = {}) {
+        if (this.isLeader || !this.modules.tabSync) return false;
+
+        this.modules.tabSync.sendCommand(action, data);
+        return true;
+    }
+
+    // Leader: run an action a follower tab asked for
+    handleSyncCommand(command) {
+        switch (command.action) {
+            case 'toggle':
+                this.toggleFocus();
+                break;
+            case 'start':
+                if (!this.state.isFocusing) this.startFocus();
+                break;
+            case 'pause':
+                if (this.state.isFocusing) this.pauseFocus(command.reason);
+                break;
+            case 'reset':
+                this.resetFocus();
+                break;
+            case 'undoReset':
+                this.undoReset();
+                break;
+            case 'visibility':
+                if (this.modules.visibilityPolicy) {
+                    this.modules.visibilityPolicy.setTabVisible(command.tabId, command.visible);
+                }
+                break;
+            case 'activity':
+                if (this.modules.activityMonitor) {
+                    this.modules.activityMonitor.handleInput({ type: 'other-tab' });
+                }
+                break;
+            case 'switchTask':
+                // The picker keeps its recent list and calls back into switchTask()
+                if (this.modules.taskPicker) {
+                    this.modules.taskPicker.setActiveTask(command.task);
+                } else {
+                    this.switchTask(command.task);
+                }
+                break;
+        }
+    }
+
+    publishState() {
+        if (!this.isLeader || !this.modules.tabSync) return;
+
+        this.modules.tabSync.publishState({
+            realTimeStart: this.state.realTimeStart.getTime(),
+            focusTimeAccumulated: this.state.focusTimeAccumulated,
+            focusTimeStart: this.state.focusTimeStart ? this.state.focusTimeStart.getTime() : null,
+            isFocusing: this.state.isFocusing,
+            focusSessions: this.state.focusSessions,
+            longestStreak: this.state.longestStreak,
+            currentStreakStart: this.state.currentStreakStart ? this.state.currentStreakStart.getTime() : null,
+            heldSince: this.state.heldSince,
+            heldMs: this.state.heldMs,
+            sessionPomodoroPhase: this.state.sessionPomodoroPhase,
+            sessionTask: this.state.sessionTask,
+            lastReset: this.lastReset,
+            awayTime: this.modules.presenceDetector ? this.modules.presenceDetector.getAwayTime() : 0,
+            isPresent: this.modules.presenceDetector ? this.modules.presenceDetector.state.isPresent : null,
+            pomodoro: this.modules.pomodoroTimer ? this.modules.pomodoroTimer.getSyncState() : null
+        });
+    }
+
+    // Follower: mirror the leader's clock; timestamps are absolute so live numbers match
+    applySyncedState(synced) {
+        const toDate = (time) => time ? new Date(time) : null;
+
+        this.state = {
+            ...this.state,
+            realTimeStart: new Date(synced.realTimeStart),
+            focusTimeAccumulated: synced.focusTimeAccumulated,
+            focusTimeStart: toDate(synced.focusTimeStart),
+            isFocusing: synced.isFocusing,
+            focusSessions: synced.focusSessions,
+            longestStreak: synced.longestStreak,
+            currentStreakStart: toDate(synced.currentStreakStart),
+            heldSince: synced.heldSince,
+            heldMs: synced.heldMs,
+            sessionPomodoroPhase: synced.sessionPomodoroPhase,
+            sessionTask: synced.sessionTask
+        };
+        this.lastReset = synced.lastReset;
+
+        if (this.modules.taskPicker) {
+            this.modules.taskPicker.showTask(synced.sessionTask);
+        }
+        if (this.modules.pomodoroTimer && synced.pomodoro) {
+            this.modules.pomodoroTimer.applySyncedState(synced.pomodoro);
+        }
+        if (this.elements.awayTime) {
+            this.elements.awayTime.textContent = this.formatShortTime(synced.awayTime);
+        }
+        this.updateMirroredPresence(synced.isPresent);
+        this.updateUI();
+    }
+
+    updateMirroredPresence(isPresent) {
+        const indicator = document.getElementById('presenceIndicator');
+        if (!indicator) return;
+
+        indicator.classList.remove('present', 'away', 'warning', 'error', 'initializing');
+        if (isPresent !== null) {
+            indicator.classList.add(isPresent ? 'present' : 'away');
+        }
+        document.getElementById('presenceStatus').textContent = isPresent === null
+            ? 'No Camera'
+            : (isPresent ? 'At Desk' : 'Away');
+        document.getElementById('presenceDetail').textContent = 'Camera runs in another tab';
+    }
+
+    // Follower took over from a closed leader tab
+    becomeLeader() {
+        this.isLeader = true;
+        this.checkDayRollover();
+        this.saveState();
+        this.updateUI();
+    }
+
+    // ==================== Event Binding ====================
+
+    bindEvents() {
+        this.elements.startPauseBtn.addEventListener('click', () => this.toggleFocus());
+        this.elements.resetBtn.addEventListener('click', () => this.resetFocus());
+        if (this.elements.undoResetBtn) {
+            this.elements.undoResetBtn.addEventListener('click', () => this.undoReset());
+        }
+
+        // Keyboard shortcuts are registered with the command palette (registerCommands)
+
+        // Hidden-tab handling lives in VisibilityPolicy (initVisibilityPolicy)
+
+        // Before unload - save state
+        window.addEventListener('beforeunload', () => {
+            if (!this.isLeader) return;
+
+            if (this.state.isFocusing) {
+                // Save current progress before closing
+                const now = this.clock.now();
+                const intervalMs = this.getIntervalMs(now);
+                this.state.focusTimeAccumulated += intervalMs;
+                this.recordSession(this.state.focusTimeStart.getTime(), now, 'unload', intervalMs);
+
+                // A follower tab taking over carries on from here
+                this.restartInterval(now);
+                this.saveState();
+            }
+            this.splitInterruption(this.clock.now());
+            // Save to database on close
+            this.saveToDatabase();
+        });
+
+        // Auto-save to database every 5 minutes
+        setInterval(() => {
+            this.saveToDatabase();
+        }, 5 * 60 * 1000);
+    }
+
+    // ==================== Database ====================
+
+    // asOf: moment the stats are taken at (the day boundary when closing out a day)
+    async saveToDatabase(asOf = this.clock.now()) {
+        if (!this.modules.productivityDB || !this.isLeader) return;
+
+        try {
+            const focusTime = this.getFocusTimeMs(asOf);
+            const realTime = this.getRealTimeMs(asOf);
+            const stats = {
+                focusTime,
+                realTime,
+                productivity: realTime > 0
+                    ? (focusTime / realTime) * 100
+                    : 0,
+                sessions: this.state.focusSessions,
+                pomodoros: this.modules.pomodoroTimer
+                    ? this.modules.pomodoroTimer.state.totalPomodorosToday
+                    : 0,
+                longestStreak: this.state.longestStreak,
+                awayTime: this.modules.presenceDetector
+                    ? this.modules.presenceDetector.getAwayTime()
+                    : 0,
+                offscreenTime: this.modules.visibilityPolicy
+                    ? this.modules.visibilityPolicy.getOffscreenTime()
+                    : 0
+            };
+
+            await this.modules.productivityDB.saveDailyStats(stats, this.calendar.getDayKey(this.state.realTimeStart));
+            console.log('💾 Stats saved to database');
+        } catch (error) {
+            console.error('Failed to save stats:', error);
+        }
+    }
+
+    // duration: focus time of the interval, less than endTime - startTime if it was on hold
+    async recordSession(startTime, endTime, endReason, duration = endTime - startTime) {
+        if (!this.modules.productivityDB || !this.isLeader) return;
+
+        try {
+            await this.modules.productivityDB.saveSession({
+                startTime,
+                endTime,
+                duration,
+                endReason,
+                pomodoroPhase: this.state.sessionPomodoroPhase,
+                project: this.state.sessionTask ? this.state.sessionTask.project : null,
+                task: this.state.sessionTask ? this.state.sessionTask.task : null
+            });
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    }
+
+    // Someone else joined at the desk: note the focus interval running now, since by the time
+    // they leave it may have been paused or split (sessionStart matches the session's startTime;
+    // null when focus was paused)
+    beginInterruption({ time, faces }) {
+        this.openInterruption = { ...this.describeInterruption(time), faces };
+    }
+
+    // The interruption is over; log whatever part of it splitInterruption hasn't logged yet
+    recordInterruption({ start, duration, faces }) {
+        const open = this.openInterruption || { ...this.describeInterruption(start), faces };
+        this.openInterruption = null;
+
+        const end = start + duration;
+        if (open.start > start && end <= open.start) return;
+
+        this.saveInterruption({ ...open, duration: Math.max(0, end - open.start), faces: Math.max(faces, open.faces) });
+    }
+
+    // Day rollover or unload with the interruption still going: log it up to now and carry
+    // the rest on under the interval running from here
+    splitInterruption(time) {
+        const open = this.openInterruption;
+        if (!open || time <= open.start) return;
+
+        this.saveInterruption({ ...open, duration: time - open.start });
+        this.openInterruption = { ...this.describeInterruption(time), faces: open.faces };
+    }
+
+    describeInterruption(start) {
+        return {
+            start,
+            sessionStart: this.state.focusTimeStart ? this.state.focusTimeStart.getTime() : null,
+            project: this.state.sessionTask ? this.state.sessionTask.project : null,
+            task: this.state.sessionTask ? this.state.sessionTask.task : null
+        };
+    }
+
+    async saveInterruption({ start, duration, faces, sessionStart, project, task }) {
+        if (!this.modules.productivityDB || !this.isLeader) return;
+
+        try {
+            await this.modules.productivityDB.addEvent({
+                type: 'interruption',
+                timestamp: start,
+                duration,
+                faces,
+                sessionStart,
+                project,
+                task
+            });
+        } catch (error) {
+            console.error('Failed to save interruption:', error);
+        }
+    }
+
+    // Pomodoro phase the current interval belongs to, if the pomodoro is running
+    getPomodoroPhase() {
+        const pomodoro = this.modules.pomodoroTimer;
+        return pomodoro && pomodoro.state.isRunning ? pomodoro.state.currentPhase : null;
+    }
+
+    // ==================== Formatting ====================
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        return [hours, minutes, seconds]
+            .map(v => v.toString().padStart(2, '0'))
+            .join(':');
+    }
+
+    formatShortTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+
+        if (hours > 0) {
+            return `${hours}:${minutes.toString().padStart(2, '0')}`;
+        }
+        return `${minutes}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    formatStartTime(date) {
+        return date.toLocaleTimeString('en-US', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: true
+        });
+    }
+}
+
+// Export for use in main app; tests load it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProductivityTracker };
+} else {
+    window.ProductivityTracker = ProductivityTracker;
+}
@@ -0,0 +1,139 @@
+/**
+ * Visibility Policy Module
+ * Decides what happens to focus time while the tracker is out of sight and
+ * measures that "off-screen" time separately from time away from the desk
+ */
+
+class VisibilityPolicy {
+    constructor(options = {}) {
+        this.settings = {
+            mode: 'ignore',        // 'ignore', 'pause' (after pauseAfter seconds) or 'offscreen'
+            pauseAfter: 30,        // Seconds hidden before 'pause' kicks in
+            allowlist: [],         // Apps the user may legitimately work in, e.g. "VS Code"
+            workingIn: '',         // Allowlisted app the user said they are in - hidden time is then excused
+            ...options.settings
+        };
+
+        this.state = {
+            hiddenSince: null,
+            totalOffscreenTime: 0,
+            restoredOffscreenTime: false,
+            pausedFocus: false,
+            visibleTabs: new Set()     // Other tracker tabs currently on screen
+        };
+        this.pauseTimer = null;
+
+        // Callbacks
+        this.onPause = options.onPause || (() => false);    // Return true if focus was actually paused
+        this.onHold = options.onHold || (() => false);      // Return true if a running session was put on hold
+        this.onReturn = options.onReturn || (() => { });    // ({ hiddenMs, pausedFocus, mode })
+
+        // Event bus for visibility:hidden and visibility:return
+        this.events = options.events || null;
+        this.events?.on('day:rollover', () => this.resetOffscreenTime());
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('visibilitychange', () => this.update());
+        this.update();
+    }
+
+    // ==================== Hidden Tracking ====================
+
+    // Off screen means no tracker tab is visible and the user hasn't said they're in an allowed app
+    isOffscreen() {
+        return document.hidden
+            && this.state.visibleTabs.size === 0
+            && !this.isExcused();
+    }
+
+    isExcused() {
+        return Boolean(this.settings.workingIn) && this.settings.allowlist.includes(this.settings.workingIn);
+    }
+
+    update() {
+        const offscreen = this.isOffscreen();
+
+        if (offscreen && !this.state.hiddenSince) {
+            this.startHidden();
+        } else if (!offscreen && this.state.hiddenSince) {
+            this.endHidden();
+        }
+    }
+
+    startHidden() {
+        this.state.hiddenSince = Date.now();
+        this.state.pausedFocus = false;
+        this.events?.emit('visibility:hidden', { time: this.state.hiddenSince });
+
+        if (this.settings.mode === 'offscreen') {
+            // Hidden time goes to its own bucket instead of focus; the session itself stays open
+            this.state.pausedFocus = this.onHold();
+        } else if (this.settings.mode === 'pause') {
+            this.pauseTimer = setTimeout(() => {
+                this.state.pausedFocus = this.onPause();
+            }, this.settings.pauseAfter * 1000);
+        }
+    }
+
+    endHidden() {
+        const hiddenMs = Date.now() - this.state.hiddenSince;
+
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        this.state.totalOffscreenTime += hiddenMs;
+        this.state.hiddenSince = null;
+
+        this.onReturn({ hiddenMs, pausedFocus: this.state.pausedFocus, mode: this.settings.mode });
+        this.events?.emit('visibility:return', { hiddenMs, pausedFocus: this.state.pausedFocus });
+        this.state.pausedFocus = false;
+    }
+
+    // Leader tab: another tab of the tracker was shown or hidden
+    setTabVisible(tabId, visible) {
+        if (visible) {
+            this.state.visibleTabs.add(tabId);
+        } else {
+            this.state.visibleTabs.delete(tabId);
+        }
+        this.update();
+    }
+
+    getOffscreenTime() {
+        let total = this.state.totalOffscreenTime;
+        if (this.state.hiddenSince) {
+            total += Date.now() - this.state.hiddenSince;
+        }
+        return total;
+    }
+
+    // After a reload: carry on from the off-screen time already stored for today, once
+    restoreOffscreenTime(ms) {
+        if (this.state.restoredOffscreenTime) return;
+
+        this.state.restoredOffscreenTime = true;
+        this.state.totalOffscreenTime += ms || 0;
+    }
+
+    // Start a new day's off-screen total, keeping an ongoing stretch running from now
+    resetOffscreenTime() {
+        this.state.totalOffscreenTime = 0;
+        this.state.restoredOffscreenTime = true;
+        if (this.state.hiddenSince) {
+            this.state.hiddenSince = Date.now();
+        }
+    }
+
+    // ==================== Settings ====================
+
+    // Settings come from Settings > Hidden Tab; a change re-checks whether this counts as off screen
+    applySettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.update();
+    }
+}
+
+// Export for use in main app
+window.VisibilityPolicy = VisibilityPolicy;
@@ -1,6 +1,7 @@
 /**
  * Webcam Face Detection Module
- * Uses MediaPipe Face Detection to track user presence
+ * Tracks user presence from a face detection backend (see presence-backends.js),
+ * optionally combined with input activity
  */
 
 class PresenceDetector {
@@ -11,11 +12,26 @@ class PresenceDetector {
             awayThreshold: 5000,           // Consider away after 5 seconds without face
             returnThreshold: 1000,         // Consider returned after 1 second with face
             autoPauseEnabled: true,        // Auto-pause focus timer when away
+            autoStartEnabled: true,        // Auto-start focus timer on return
             showPreview: true,             // Show webcam preview
             minDetectionConfidence: 0.5,   // Minimum confidence for face detection
+            guestThreshold: 3000,          // A second face must stay this long to count as an interruption
+            guestLeaveThreshold: 5000,     // ...and be gone this long for the interruption to end
+            replaceThreshold: 2000,        // A face somewhere else must stay this long to replace the user's
+            replaceDistance: 0.25,         // How far (fraction of the frame) the user's face may jump between frames
+            mode: 'camera',                // 'camera', 'activity' or 'combined'
+            cameraWeight: 0.6,             // Combined mode: weight of a visible face
+            activityWeight: 0.4,           // Combined mode: weight of recent keyboard/mouse input
+            presenceThreshold: 0.5,        // Combined mode: present when the weights reach this
+            backend: 'auto',               // Key of PRESENCE_BACKENDS, or 'auto' for the cheapest supported
+            backendOptions: {},            // Extra options for the backend, e.g. the fake backend's script
+            headless: false,               // Replays: leave the page's presence indicator alone
             ...options
         };
 
+        // Anything with now() - replays pass a virtual clock
+        this.clock = options.clock || Date;
+
         // State
         this.state = {
             isPresent: false,
@@ -24,42 +40,76 @@ class PresenceDetector {
             totalAwayTime: 0,
             cameraActive: false,
             initialized: false,
-            faceDetector: null,
-            camera: null,
+            faces: [],                      // Faces in the latest analyzed frame
+            primaryFace: null,              // Box of the user's face, followed from frame to frame
+            guestSince: null,               // First frame of the current run with more than one face
+            guestLastSeen: null,
+            interruption: null,             // { start, faces } while someone else is at the desk
+            interruptionCount: 0,
+            replacementSince: null,         // First frame of a lone face away from the user's position
             returnDetectionCount: 0,        // Track successful detections for return
-            returnDetectionRequired: 3      // Number of detections needed to confirm return
+            returnDetectionRequired: 3,     // Number of detections needed to confirm return
+            faceVisible: false,
+            faceWarning: null,              // Countdown shown while the face signal is changing
+            modelError: null                // Face model couldn't be loaded - input only
         };
 
+        // Face detection backend, created in init(); models come verified from the local model folder
+        this.backend = null;
+        this.modelAssets = options.modelAssets || new ModelAssets();
+
+        // Input activity signal (ActivityMonitor), used in 'activity' and 'combined' modes
+        this.activityMonitor = options.activityMonitor || null;
+        this.activityTimer = null;
+
         // DOM Elements
+        const headless = this.config.headless;
         this.elements = {
             video: null,
             canvas: null,
-            presenceIndicator: document.getElementById('presenceIndicator'),
-            presenceIcon: document.getElementById('presenceIcon'),
-            presenceStatus: document.getElementById('presenceStatus'),
-            presenceDetail: document.getElementById('presenceDetail')
+            presenceIndicator: headless ? null : document.getElementById('presenceIndicator'),
+            presenceIcon: headless ? null : document.getElementById('presenceIcon'),
+            presenceStatus: headless ? null : document.getElementById('presenceStatus'),
+            presenceDetail: headless ? null : document.getElementById('presenceDetail')
         };
 
         // Callbacks
         this.onPresenceChange = options.onPresenceChange || (() => { });
         this.onAway = options.onAway || (() => { });
         this.onReturn = options.onReturn || (() => { });
+        this.onIndicatorClick = options.onIndicatorClick || (() => { });
+
+        // Event bus for presence:away/return/replaced and interruption:start/end
+        this.events = options.events || null;
+        this.events?.on('day:rollover', () => this.resetAwayTime());
 
         // Bind methods
-        this.onResults = this.onResults.bind(this);
+        this.onFrameResult = this.onFrameResult.bind(this);
     }
 
     async init() {
         try {
-            this.createVideoElements();
-            await this.initFaceDetection();
-            await this.startCamera();
+            if (this.usesCamera()) {
+                this.createVideoElements();
+                await this.startBackend();
+            }
+            if (this.usesActivity()) {
+                // Input has no frame loop of its own, so poll it
+                this.activityTimer = setInterval(() => this.evaluatePresence(), this.config.detectionInterval);
+            }
+            if (this.elements.presenceIndicator) {
+                this.elements.presenceIndicator.addEventListener('click', () => this.onIndicatorClick());
+            }
             this.state.initialized = true;
             this.updateUI('initializing');
             console.log('✅ Presence detector initialized');
         } catch (error) {
             console.error('❌ Failed to initialize presence detector:', error);
-            this.updateUI('error', error.message);
+            if (error instanceof ModelAssetError) {
+                this.updateUI('unavailable', error);
+            } else {
+                this.updateUI('error', error.message);
+            }
             throw error;
         }
     }
@@ -113,109 +163,97 @@ class PresenceDetector {
         header.insertAdjacentElement('afterend', container);
     }
 
-    async initFaceDetection() {
-        return new Promise((resolve, reject) => {
-            try {
-                // Initialize MediaPipe Face Detection
-                this.state.faceDetector = new FaceDetection({
-                    locateFile: (file) => {
-                        return `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`;
-                    }
-                });
-
-                this.state.faceDetector.setOptions({
-                    model: 'short',
-                    minDetectionConfidence: this.config.minDetectionConfidence
-                });
-
-                this.state.faceDetector.onResults(this.onResults);
-
-                // Wait for model to load
-                this.state.faceDetector.initialize().then(() => {
-                    console.log('✅ Face detection model loaded');
-                    resolve();
-                }).catch(reject);
-            } catch (error) {
-                reject(error);
+    // Without the face model, keyboard/mouse input keeps presence going where it can
+    async startBackend() {
+        this.backend = createPresenceBackend(this.config.backend, {
+            ...this.config.backendOptions,
+            video: this.elements.video,
+            modelAssets: this.modelAssets,
+            clock: this.clock,
+            minDetectionConfidence: this.config.minDetectionConfidence,
+            onFrameResult: this.onFrameResult,
+            onLoadProgress: ({ loaded, total }) => {
+                const percent = total > 0 ? Math.round(loaded / total * 100) : 0;
+                this.updateUI('loading', `Face model ${percent}%`);
             }
         });
-    }
 
-    async startCamera() {
-        return new Promise((resolve, reject) => {
-            try {
-                this.state.camera = new Camera(this.elements.video, {
-                    onFrame: async () => {
-                        if (this.state.faceDetector) {
-                            await this.state.faceDetector.send({ image: this.elements.video });
-                        }
-                    },
-                    width: 320,
-                    height: 240
-                });
-
-                this.state.camera.start()
-                    .then(() => {
-                        this.state.cameraActive = true;
-                        console.log('✅ Camera started');
-                        resolve();
-                    })
-                    .catch((error) => {
-                        // Provide helpful error messages
-                        let errorMessage = 'Camera access failed';
-
-                        if (error.name === 'NotReadableError') {
-                            errorMessage = 'Camera in use by another app. Close other tabs/apps using camera.';
-                        } else if (error.name === 'NotAllowedError') {
-                            errorMessage = 'Camera permission denied. Click the camera icon in address bar to allow.';
-                        } else if (error.name === 'NotFoundError') {
-                            errorMessage = 'No camera found. Connect a webcam.';
-                        } else if (error.name === 'OverconstrainedError') {
-                            errorMessage = 'Camera resolution not supported.';
-                        }
-
-                        console.error('Camera error:', error.name, error.message);
-                        this.updateUI('error', errorMessage);
-
-                        // Show a toast notification
-                        if (window.showToast) {
-                            window.showToast('📷 ' + errorMessage, 'warning');
-                        }
-
-                        reject(new Error(errorMessage));
-                    });
-            } catch (error) {
-                reject(error);
+        try {
+            await this.backend.start();
+            this.state.cameraActive = true;
+            console.log('✅ Camera started');
+        } catch (error) {
+            this.backend.stop();
+            this.backend = null;
+
+            if (error instanceof ModelAssetError) {
+                if (!this.activityMonitor) throw error;
+
+                this.state.modelError = error;
+                document.getElementById('webcamContainer')?.remove();
+                console.warn(`⚠️ ${error.message} - using keyboard/mouse only`);
+                return;
             }
-        });
+
+            const errorMessage = this.describeCameraError(error);
+            console.error('Camera error:', error.name, error.message);
+            this.updateUI('error', errorMessage);
+
+            // Show a toast notification
+            if (window.showToast) {
+                window.showToast('📷 ' + errorMessage, 'warning');
+            }
+            throw new Error(errorMessage);
+        }
     }
 
-    onResults(results) {
-        const faceDetected = results.detections && results.detections.length > 0;
-        const now = Date.now();
+    // Provide helpful error messages
+    describeCameraError(error) {
+        switch (error.name) {
+            case 'NotReadableError':
+                return 'Camera in use by another app. Close other tabs/apps using camera.';
+            case 'NotAllowedError':
+                return 'Camera permission denied. Click the camera icon in address bar to allow.';
+            case 'NotFoundError':
+                return 'No camera found. Connect a webcam.';
+            case 'OverconstrainedError':
+                return 'Camera resolution not supported.';
+            default:
+                return 'Camera access failed';
+        }
+    }
 
-        // Update face overlay
-        const faceOverlay = document.getElementById('faceOverlay');
-        if (faceOverlay) {
-            faceOverlay.classList.toggle('detected', faceDetected);
+    // The same away/return state machine runs on every backend's frames
+    onFrameResult({ faces, time }) {
+        const faceDetected = faces.length > 0;
+        const now = time;
+        this.state.faces = faces;
+        this.trackFaces(faces, now);
+
+        // Update face overlay - a headless replay must not touch the live camera's
+        if (!this.config.headless) {
+            const faceOverlay = document.getElementById('faceOverlay');
+            if (faceOverlay) {
+                faceOverlay.classList.toggle('detected', faceDetected);
+            }
         }
 
+        this.state.faceWarning = null;
+
         if (faceDetected) {
             this.state.lastSeenTime = now;
 
-            // Check if returning from away
-            if (!this.state.isPresent) {
+            // Check if the face is coming back
+            if (!this.state.faceVisible) {
                 // Use detection count for more forgiving return detection
                 this.state.returnDetectionCount++;
 
                 if (this.state.returnDetectionCount >= this.state.returnDetectionRequired) {
-                    this.handleReturn();
+                    this.state.faceVisible = true;
                     this.state.returnDetectionCount = 0;
                 } else {
-                    this.updateUI('warning', `Detecting face... (${this.state.returnDetectionCount}/${this.state.returnDetectionRequired})`);
+                    this.state.faceWarning = `Detecting face... (${this.state.returnDetectionCount}/${this.state.returnDetectionRequired})`;
                 }
-            } else {
-                this.updateUI('present');
             }
         } else {
             // Only reset detection count if we've been away for a bit (more forgiving)
@@ -223,31 +261,219 @@ class PresenceDetector {
                 this.state.returnDetectionCount = Math.max(0, this.state.returnDetectionCount - 1);
             }
 
-            // Check if going away
-            if (this.state.isPresent && this.state.lastSeenTime) {
+            // Check if the face is gone
+            if (this.state.faceVisible && this.state.lastSeenTime) {
                 const timeSinceLastSeen = now - this.state.lastSeenTime;
 
                 if (timeSinceLastSeen >= this.config.awayThreshold) {
-                    this.handleAway();
+                    this.state.faceVisible = false;
                 } else {
                     // Show countdown to away
                     const remaining = Math.ceil((this.config.awayThreshold - timeSinceLastSeen) / 1000);
-                    this.updateUI('warning', `Face not detected (${remaining}s)`);
+                    this.state.faceWarning = `Face not detected (${remaining}s)`;
                 }
-            } else if (!this.state.isPresent) {
-                this.updateUI('away');
             }
         }
+
+        this.evaluatePresence();
+    }
+
+    // ==================== Other People ====================
+
+    // Distance between two face boxes' centers, in fractions of the frame
+    static getFaceDistance(a, b) {
+        return Math.hypot(
+            (a.x + a.width / 2) - (b.x + b.width / 2),
+            (a.y + a.height / 2) - (b.y + b.height / 2)
+        );
+    }
+
+    // The user is the face nearest to where they were last frame, or the largest one to begin with
+    findPrimaryFace(faces) {
+        const previous = this.state.primaryFace;
+        const score = previous
+            ? face => -PresenceDetector.getFaceDistance(face.box, previous)
+            : face => face.box.width * face.box.height;
+
+        return faces.reduce((best, face) => (!best || score(face) > score(best) ? face : best), null);
+    }
+
+    trackFaces(faces, now) {
+        this.trackPrimaryFace(faces, now);
+        this.trackGuests(faces, now);
+    }
+
+    // A lone face far from the user's that stays there is someone who took their seat
+    trackPrimaryFace(faces, now) {
+        const primary = this.findPrimaryFace(faces);
+
+        if (!primary) {
+            // Nobody to follow once the user counts as gone - whoever sits down next is the user
+            if (!this.state.faceVisible) {
+                this.state.primaryFace = null;
+            }
+            this.state.replacementSince = null;
+            return;
+        }
+
+        const previous = this.state.primaryFace;
+        const jumped = previous && faces.length === 1
+            && PresenceDetector.getFaceDistance(primary.box, previous) > this.config.replaceDistance;
+
+        if (!jumped) {
+            this.state.primaryFace = primary.box;
+            this.state.replacementSince = null;
+            return;
+        }
+
+        if (this.state.replacementSince === null) {
+            this.state.replacementSince = now;
+        }
+        if (now - this.state.replacementSince >= this.config.replaceThreshold) {
+            this.state.primaryFace = primary.box;
+            this.state.replacementSince = null;
+            this.events?.emit('presence:replaced', { time: now });
+            console.log('🔄 Someone else took the seat');
+        }
+    }
+
+    // More than one face for a while is an interruption; it lasts until the extra faces are gone
+    trackGuests(faces, now) {
+        if (faces.length > 1) {
+            if (this.state.guestSince === null) {
+                this.state.guestSince = now;
+            }
+            this.state.guestLastSeen = now;
+
+            if (this.state.interruption) {
+                this.state.interruption.faces = Math.max(this.state.interruption.faces, faces.length);
+            } else if (now - this.state.guestSince >= this.config.guestThreshold) {
+                this.state.interruption = { start: this.state.guestSince, faces: faces.length };
+                this.state.interruptionCount++;
+                this.events?.emit('interruption:start', { time: this.state.guestSince, faces: faces.length });
+                console.log(`👥 ${faces.length} people at the desk`);
+            }
+            return;
+        }
+
+        if (this.state.guestSince === null) return;
+
+        const goneFor = now - this.state.guestLastSeen;
+        if (this.state.interruption) {
+            if (goneFor >= this.config.guestLeaveThreshold) {
+                this.endInterruption();
+            }
+        } else if (goneFor > this.config.returnThreshold) {
+            // A face that only flickered in doesn't count
+            this.state.guestSince = null;
+        }
+    }
+
+    // The interruption ends at the last frame the extra faces were seen
+    endInterruption() {
+        const interruption = this.state.interruption;
+        this.state.guestSince = null;
+        this.state.interruption = null;
+        if (!interruption) return;
+
+        const duration = this.state.guestLastSeen - interruption.start;
+        this.events?.emit('interruption:end', { start: interruption.start, duration, faces: interruption.faces });
+        console.log(`👥 Interruption over after ${Math.round(duration / 1000)}s`);
+    }
+
+    getFaceCount() {
+        return this.state.faces.length;
+    }
+
+    // ==================== Presence Model ====================
+
+    // The configured mode, unless a missing face model left only keyboard/mouse input
+    getMode() {
+        return this.state.modelError ? 'activity' : this.config.mode;
+    }
+
+    usesCamera() {
+        return this.getMode() !== 'activity';
+    }
+
+    usesActivity() {
+        return this.getMode() !== 'camera' && Boolean(this.activityMonitor);
+    }
+
+    isActive() {
+        return this.activityMonitor ? this.activityMonitor.isActive(this.clock.now()) : false;
+    }
+
+    // Each signal is on or off; combined mode adds the weights of the signals that are on
+    getPresenceScore(faceVisible, active) {
+        if (this.getMode() === 'camera') return faceVisible ? 1 : 0;
+        if (this.getMode() === 'activity') return active ? 1 : 0;
+
+        return (faceVisible ? this.config.cameraWeight : 0)
+            + (active && this.activityMonitor ? this.config.activityWeight : 0);
+    }
+
+    evaluatePresence() {
+        const threshold = this.config.presenceThreshold;
+        const active = this.isActive();
+        const present = this.getPresenceScore(this.state.faceVisible, active) >= threshold;
+
+        if (present !== this.state.isPresent) {
+            if (present) {
+                this.handleReturn();
+            } else {
+                this.handleAway();
+            }
+            return;
+        }
+
+        // Face countdowns only matter while the face is what decides presence
+        const faceDecides = (this.getPresenceScore(true, active) >= threshold)
+            !== (this.getPresenceScore(false, active) >= threshold);
+
+        if (this.state.faceWarning && faceDecides) {
+            this.updateUI('warning', this.state.faceWarning);
+        } else {
+            this.updateUI(present ? 'present' : 'away', this.describeSignals());
+        }
+    }
+
+    describeSignals() {
+        if (this.state.interruption) return `${this.state.interruption.faces} people at the desk`;
+        if (this.getMode() === 'camera') return null;
+        if (this.state.modelError) {
+            return this.isActive() ? 'No face model - input seen' : 'No face model - no input';
+        }
+
+        const signals = [];
+        if (this.usesCamera() && this.state.faceVisible) signals.push('face');
+        if (this.usesActivity() && this.isActive()) signals.push('keyboard/mouse');
+
+        if (signals.length === 0) {
+            return this.usesCamera() ? 'No face or input' : 'No keyboard or mouse input';
+        }
+        return `Seeing ${signals.join(' + ')}`;
+    }
+
+    // Thresholds and weights apply immediately; the mode and backend are fixed until a reload
+    // because they decide what runs the camera
+    applySettings(config) {
+        const { mode, backend, ...live } = config;
+        this.config = { ...this.config, ...live };
+        if (this.state.initialized) {
+            this.evaluatePresence();
+        }
     }
 
     handleAway() {
         if (this.state.isPresent) {
             this.state.isPresent = false;
-            this.state.awayStartTime = Date.now();
+            this.state.awayStartTime = this.clock.now();
 
-            this.updateUI('away');
+            this.updateUI('away', this.describeSignals());
             this.onPresenceChange(false);
             this.onAway();
+            this.events?.emit('presence:away', { time: this.state.awayStartTime });
 
             console.log('👋 User went away');
         }
@@ -258,15 +484,17 @@ class PresenceDetector {
             this.state.isPresent = true;
 
             // Calculate away time
+            let awayDuration = 0;
             if (this.state.awayStartTime) {
-                const awayDuration = Date.now() - this.state.awayStartTime;
+                awayDuration = this.clock.now() - this.state.awayStartTime;
                 this.state.totalAwayTime += awayDuration;
                 this.state.awayStartTime = null;
             }
 
-            this.updateUI('present');
+            this.updateUI('present', this.describeSignals());
             this.onPresenceChange(true);
             this.onReturn();
+            this.events?.emit('presence:return', { time: this.clock.now(), awayMs: awayDuration });
 
             console.log('👋 User returned');
         }
@@ -281,13 +509,19 @@ class PresenceDetector {
         if (!indicator) return;
 
         // Remove all status classes
-        indicator.classList.remove('present', 'away', 'warning', 'error', 'initializing');
+        indicator.classList.remove('present', 'away', 'warning', 'error', 'initializing', 'unavailable');
+
+        // Running on input alone stays visible whatever the presence is
+        indicator.classList.toggle('degraded', Boolean(this.state.modelError));
+        indicator.title = this.state.modelError
+            ? `${this.state.modelError.message}. Click for presence settings`
+            : 'Presence detection settings';
 
         switch (status) {
             case 'present':
                 indicator.classList.add('present');
                 statusEl.textContent = 'At Desk';
-                detailEl.textContent = 'Face detected';
+                detailEl.textContent = detail || 'Face detected';
                 break;
 
             case 'away':
@@ -308,6 +542,20 @@ class PresenceDetector {
                 detailEl.textContent = 'Loading camera';
                 break;
 
+            case 'loading':
+                indicator.classList.add('initializing');
+                statusEl.textContent = 'Loading...';
+                detailEl.textContent = detail;
+                break;
+
+            // detail: the ModelAssetError
+            case 'unavailable':
+                indicator.classList.add('unavailable');
+                indicator.title = detail.message;
+                statusEl.textContent = 'No Face Model';
+                detailEl.textContent = detail.code === 'corrupt' ? 'Model files damaged' : 'Model files missing';
+                break;
+
             case 'error':
                 indicator.classList.add('error');
                 statusEl.textContent = 'Camera Error';
@@ -340,22 +588,31 @@ class PresenceDetector {
     getAwayTime() {
         let total = this.state.totalAwayTime;
         if (this.state.awayStartTime) {
-            total += Date.now() - this.state.awayStartTime;
+            total += this.clock.now() - this.state.awayStartTime;
         }
         return total;
     }
 
+    // Start a new day's away total, keeping an ongoing absence running from now
+    resetAwayTime() {
+        this.state.totalAwayTime = 0;
+        if (this.state.awayStartTime) {
+            this.state.awayStartTime = this.clock.now();
+        }
+    }
+
     isPresent() {
         return this.state.isPresent;
     }
 
     destroy() {
-        if (this.state.camera) {
-            this.state.camera.stop();
-        }
-        if (this.state.faceDetector) {
-            this.state.faceDetector.close();
+        this.endInterruption();
+        clearInterval(this.activityTimer);
+        if (this.backend) {
+            this.backend.stop();
         }
+        if (this.config.headless) return;
+
         const container = document.getElementById('webcamContainer');
         if (container) {
             container.remove();
@@ -363,5 +620,9 @@ class PresenceDetector {
     }
 }
 
-// Export for use in main app
-window.PresenceDetector = PresenceDetector;
+// Export for use in main app; tests load it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PresenceDetector };
+} else {
+    window.PresenceDetector = PresenceDetector;
+}